@@ -1,779 +1,7925 @@
-// ===== Data Storage Manager =====
-// Centralized storage management for all app data
-const StorageManager = {
-    // Get all data for a specific date (YYYY-MM-DD format)
-    getDateData(date) {
-        const key = `schedule_${date}`;
-        const data = localStorage.getItem(key);
-        return data ? JSON.parse(data) : this.getDefaultDateData();
+// ===== Storage Backends =====
+// Both backends expose the same synchronous key/value calls used by
+// StorageManager, plus an async range query over day items.
+
+// localStorage backend: the fallback when IndexedDB is unavailable
+const LocalStorageBackend = {
+    name: 'localStorage',
+
+    getItem(key) {
+        return localStorage.getItem(key);
     },
 
-    // Save data for a specific date
-    saveDateData(date, data) {
-        const key = `schedule_${date}`;
-        localStorage.setItem(key, JSON.stringify(data));
+    setItem(key, value) {
+        localStorage.setItem(key, value);
     },
 
-    // Get default empty data structure
-    getDefaultDateData() {
-        return {
-            tasks: [],
-            dsTopics: [],
-            englishActivities: []
-        };
+    removeItem(key) {
+        localStorage.removeItem(key);
     },
 
-    // Clear all data (for testing purposes)
-    clearAll() {
-        localStorage.clear();
+    // Get every stored key
+    keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        return keys;
+    },
+
+    // Range query by scanning the stored days
+    query(filter) {
+        const records = [];
+        StorageManager.getAllDates()
+            .filter(date => date >= filter.from && date <= filter.to)
+            .forEach(date => {
+                StorageManager.getItemRecords(date, StorageManager.readDay(date))
+                    .filter(record => StorageManager.matchesQuery(record, filter))
+                    .forEach(record => records.push(record));
+            });
+        return Promise.resolve(records);
+    },
+
+    // Writes are synchronous, so there is never anything pending
+    flush() {
+        return Promise.resolve();
     }
 };
 
-// ===== Date Utility Functions =====
-const DateUtil = {
-    // Format date as YYYY-MM-DD
-    formatDate(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
+// IndexedDB backend. Every key is held in an in-memory cache loaded at
+// startup, so reads stay synchronous; writes update the cache and are
+// written through to IndexedDB in order. Day items are also kept in an
+// `items` store indexed by date, type, category and type + date.
+const IndexedDBBackend = {
+    name: 'IndexedDB',
+    DB_NAME: 'my-study-schedule',
+    DB_VERSION: 1,
+    db: null,
+    cache: new Map(),
+    // Chain of queued writes; resolves with the number of writes that failed
+    pending: Promise.resolve(0),
+
+    // Check whether the browser offers IndexedDB
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
     },
 
-    // Format date for display (e.g., "Monday, Dec 14, 2025")
-    formatDateDisplay(date) {
-        const options = { weekday: 'long', year: 'numeric', month: 'short', day: 'numeric' };
-        return date.toLocaleDateString('en-US', options);
+    // Wrap an IDBRequest in a Promise
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     },
 
-    // Get day name (e.g., "Mon", "Tue")
-    getDayName(date) {
-        return date.toLocaleDateString('en-US', { weekday: 'short' });
+    // Resolve when a transaction has committed
+    transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
     },
 
-    // Get date string for display (e.g., "12/14")
-    getDateString(date) {
-        return `${date.getMonth() + 1}/${date.getDate()}`;
+    // Open the database, creating stores on first use, and load the cache
+    open() {
+        const openRequest = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        openRequest.onupgradeneeded = () => {
+            const db = openRequest.result;
+            db.createObjectStore('kv', { keyPath: 'key' });
+            db.createObjectStore('meta', { keyPath: 'key' });
+            const items = db.createObjectStore('items', { keyPath: 'uid' });
+            items.createIndex('date', 'date');
+            items.createIndex('type', 'type');
+            items.createIndex('category', 'category');
+            items.createIndex('typeDate', ['type', 'date']);
+        };
+
+        return this.request(openRequest)
+            .then(db => {
+                this.db = db;
+                return this.request(db.transaction('kv').objectStore('kv').getAll());
+            })
+            .then(records => {
+                this.cache = new Map(records.map(record => [record.key, record.value]));
+            });
     },
 
-    // Add days to a date
-    addDays(date, days) {
-        const result = new Date(date);
-        result.setDate(result.getDate() + days);
-        return result;
+    // Copy localStorage data into IndexedDB the first time it is opened. The
+    // copy is read back and verified, and a marker in localStorage records
+    // where the data went. The localStorage data itself stays as a fallback
+    // until IndexedDB has proven durable (see retireLocalStorageCopy).
+    migrateFromLocalStorage() {
+        const meta = this.db.transaction('meta').objectStore('meta');
+        return this.request(meta.get('migratedFromLocalStorage')).then(record => {
+            if (record) {
+                return this.retireLocalStorageCopy();
+            }
+
+            const copied = LocalStorageBackend.keys()
+                .filter(key => key.startsWith('schedule_') && key !== StorageManager.MOVED_MARKER_KEY && !this.cache.has(key));
+            copied.forEach(key => this.setItem(key, LocalStorageBackend.getItem(key)));
+
+            return this.flush()
+                .then(() => this.request(this.db.transaction('kv').objectStore('kv').getAll()))
+                .then(records => {
+                    const stored = new Map(records.map(r => [r.key, r.value]));
+                    const missing = copied.filter(key => stored.get(key) !== LocalStorageBackend.getItem(key));
+                    if (missing.length > 0) {
+                        throw new Error(`${missing.length} record(s) were not copied to IndexedDB`);
+                    }
+                    const tx = this.db.transaction('meta', 'readwrite');
+                    tx.objectStore('meta').put({ key: 'migratedFromLocalStorage', value: new Date().toISOString() });
+                    return this.transactionDone(tx);
+                })
+                .then(() => {
+                    LocalStorageBackend.setItem(StorageManager.MOVED_MARKER_KEY, new Date().toISOString());
+                    // Ask the browser not to evict IndexedDB under storage pressure
+                    if (navigator.storage && navigator.storage.persist) {
+                        return navigator.storage.persist().catch(() => false);
+                    }
+                    return false;
+                });
+        });
     },
 
-    // Get start of week (Monday)
-    getStartOfWeek(date) {
-        const result = new Date(date);
-        const day = result.getDay();
-        const diff = day === 0 ? -6 : 1 - day; // If Sunday, go back 6 days, else go to Monday
-        result.setDate(result.getDate() + diff);
-        return result;
-    }
-};
+    // Remove the app's data from localStorage (keeping the marker) once
+    // IndexedDB has proven durable: it was migrated in an earlier session and
+    // has been reopened since, no write has failed, and the browser has
+    // granted persistent storage. Until then the old copy is kept.
+    retireLocalStorageCopy() {
+        const legacy = LocalStorageBackend.keys()
+            .filter(key => key.startsWith('schedule_') && key !== StorageManager.MOVED_MARKER_KEY);
+        if (legacy.length === 0 || !(navigator.storage && navigator.storage.persisted)) {
+            return Promise.resolve();
+        }
+        return Promise.all([this.flush(), navigator.storage.persisted()])
+            .then(([, persisted]) => {
+                if (!persisted) return;
+                legacy.forEach(key => LocalStorageBackend.removeItem(key));
+                if (!LocalStorageBackend.getItem(StorageManager.MOVED_MARKER_KEY)) {
+                    LocalStorageBackend.setItem(StorageManager.MOVED_MARKER_KEY, new Date().toISOString());
+                }
+            })
+            .catch(error => console.warn('Keeping the localStorage copy for now', error));
+    },
 
-// ===== Application State =====
-const AppState = {
-    currentDate: new Date(),
-    currentData: null,
-    editingTaskId: null,
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    },
 
-    // Initialize state with today's data
-    init() {
-        this.currentData = StorageManager.getDateData(this.getCurrentDateString());
+    setItem(key, value) {
+        this.cache.set(key, String(value));
+        this.write(key, String(value));
     },
 
-    // Get current date as string
-    getCurrentDateString() {
-        return DateUtil.formatDate(this.currentDate);
+    removeItem(key) {
+        this.cache.delete(key);
+        this.write(key, null);
     },
 
-    // Change current date
-    setDate(date) {
-        this.currentDate = date;
-        this.currentData = StorageManager.getDateData(this.getCurrentDateString());
+    // Get every stored key
+    keys() {
+        return Array.from(this.cache.keys());
     },
 
-    // Save current data to storage
-    save() {
-        StorageManager.saveDateData(this.getCurrentDateString(), this.currentData);
+    // Persist one key (null deletes it). Day keys also re-index their items.
+    write(key, value) {
+        const tx = this.db.transaction(['kv', 'items'], 'readwrite');
+        const kv = tx.objectStore('kv');
+        if (value === null) {
+            kv.delete(key);
+        } else {
+            kv.put({ key, value });
+        }
+
+        const dateMatch = /^schedule_(\d{4}-\d{2}-\d{2})$/.exec(key);
+        if (dateMatch) {
+            const date = dateMatch[1];
+            const items = tx.objectStore('items');
+            const existing = items.index('date').getAllKeys(IDBKeyRange.only(date));
+            existing.onsuccess = () => {
+                existing.result.forEach(uid => items.delete(uid));
+                if (value !== null) {
+                    let day = null;
+                    try {
+                        day = JSON.parse(value);
+                    } catch (e) {
+                        // Unreadable days are quarantined on read; nothing to index
+                    }
+                    if (SchemaManager.isRecord(day)) {
+                        StorageManager.getItemRecords(date, day).forEach(record => items.put(record));
+                    }
+                }
+            };
+        }
+
+        const done = this.transactionDone(tx).then(() => 0, error => {
+            console.error('IndexedDB write failed', error);
+            StorageManager.reportProblem(`Saving to IndexedDB failed (${error ? error.message : 'unknown error'}). Recent changes may be lost when the page is reloaded; export a backup now to keep them.`);
+            return 1;
+        });
+        this.pending = this.pending.then(failed => done.then(result => failed + result));
     },
 
-    // Navigate to previous day
-    prevDay() {
-        this.setDate(DateUtil.addDays(this.currentDate, -1));
+    // Range query using the best matching index
+    query(filter) {
+        return this.pending.then(() => {
+            const store = this.db.transaction('items').objectStore('items');
+            let request;
+            if (filter.type) {
+                request = store.index('typeDate').getAll(IDBKeyRange.bound([filter.type, filter.from], [filter.type, filter.to]));
+            } else if (filter.category) {
+                request = store.index('category').getAll(IDBKeyRange.only(filter.category));
+            } else {
+                request = store.index('date').getAll(IDBKeyRange.bound(filter.from, filter.to));
+            }
+            return this.request(request);
+        }).then(records => records
+            .filter(record => StorageManager.matchesQuery(record, filter))
+            .sort((a, b) => a.date.localeCompare(b.date)));
     },
 
-    // Navigate to next day
-    nextDay() {
-        this.setDate(DateUtil.addDays(this.currentDate, 1));
+    // Resolve once every queued write has been committed. Rejects if any
+    // write this session failed, since IndexedDB then no longer matches
+    // what the app shows.
+    flush() {
+        return this.pending.then(failed => {
+            if (failed > 0) {
+                throw new Error(`${failed} write(s) to IndexedDB failed`);
+            }
+        });
     }
 };
 
-// ===== Task Manager =====
-const TaskManager = {
-    // Generate unique ID for tasks
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
-    },
+// ===== Data Storage Manager =====
+// Centralized storage management for all app data. Reads and writes go
+// through the active backend: IndexedDB when available, localStorage otherwise.
+const StorageManager = {
+    backend: LocalStorageBackend,
+    // Set in localStorage once its data has moved to IndexedDB
+    MOVED_MARKER_KEY: 'schedule_movedToIndexedDB',
+    // Latest storage problem to show the user, or null
+    problem: null,
 
-    // Add new task
-    addTask(taskData) {
-        const task = {
-            id: this.generateId(),
-            startTime: taskData.startTime,
-            endTime: taskData.endTime,
-            name: taskData.name,
-            category: taskData.category,
-            completed: false
-        };
-        AppState.currentData.tasks.push(task);
-        this.sortTasks();
-        AppState.save();
-        return task;
+    // Choose and open the storage backend. Falls back to localStorage when
+    // IndexedDB is missing or fails to open.
+    init() {
+        if (!IndexedDBBackend.isSupported()) {
+            this.useLocalStorage();
+            return Promise.resolve(this.backend);
+        }
+        return IndexedDBBackend.open()
+            .then(() => IndexedDBBackend.migrateFromLocalStorage())
+            .then(() => {
+                this.backend = IndexedDBBackend;
+            })
+            .catch(error => {
+                console.warn('IndexedDB unavailable, using localStorage instead', error);
+                this.useLocalStorage();
+            })
+            .then(() => this.backend);
     },
 
-    // Add recurring task to multiple dates
-    addRecurringTask(taskData, numDays) {
-        const currentDate = new Date(AppState.currentDate);
-        
-        for (let i = 0; i < numDays; i++) {
-            const targetDate = DateUtil.addDays(currentDate, i);
-            const dateString = DateUtil.formatDate(targetDate);
-            const dateData = StorageManager.getDateData(dateString);
-            
-            const task = {
-                id: this.generateId(),
-                startTime: taskData.startTime,
-                endTime: taskData.endTime,
-                name: taskData.name,
-                category: taskData.category,
-                completed: false
-            };
-            
-            dateData.tasks.push(task);
-            dateData.tasks.sort((a, b) => a.startTime.localeCompare(b.startTime));
-            StorageManager.saveDateData(dateString, dateData);
+    // Fall back to localStorage, warning if the data was moved to IndexedDB.
+    // Before the old copy is retired the fallback still shows it, as it was
+    // on the day the data moved.
+    useLocalStorage() {
+        this.backend = LocalStorageBackend;
+        const movedAt = LocalStorageBackend.getItem(this.MOVED_MARKER_KEY);
+        if (!movedAt) return;
+        if (this.getAllDates().length > 0) {
+            this.reportProblem(`Your data is stored in IndexedDB, which could not be opened just now. The app is showing the copy kept in localStorage from ${movedAt.slice(0, 10)}; changes made since then are in IndexedDB. Reload to try again before adding anything.`);
+        } else {
+            this.reportProblem('Your data is stored in IndexedDB, which could not be opened just now. The app is running on an empty localStorage fallback; reload to try again before adding anything.');
         }
-        
-        // Refresh current view
-        AppState.currentData = StorageManager.getDateData(AppState.getCurrentDateString());
     },
 
-    // Update existing task
-    updateTask(id, taskData) {
-        const task = AppState.currentData.tasks.find(t => t.id === id);
-        if (task) {
-            task.startTime = taskData.startTime;
-            task.endTime = taskData.endTime;
-            task.name = taskData.name;
-            task.category = taskData.category;
-            this.sortTasks();
-            AppState.save();
-        }
+    // Tell the user about a storage failure (shown in a banner and in Data Recovery)
+    reportProblem(message) {
+        this.problem = message;
+        UI.renderStorageProblem();
     },
 
-    // Delete task
-    deleteTask(id) {
-        AppState.currentData.tasks = AppState.currentData.tasks.filter(t => t.id !== id);
-        AppState.save();
+    // Get all data for a specific date (YYYY-MM-DD format)
+    getDateData(date) {
+        return RecurrenceManager.applyToDay(date, this.readDay(date));
     },
 
-    // Toggle task completion
-    toggleTask(id) {
-        const task = AppState.currentData.tasks.find(t => t.id === id);
-        if (task) {
-            task.completed = !task.completed;
-            AppState.save();
+    // Read a stored day record upgraded to the current schema. Unreadable
+    // records and invalid items are quarantined so the rest still loads.
+    readDay(date) {
+        const key = `schedule_${date}`;
+        const day = this.readJSON(key, null, SchemaManager.isRecord);
+        if (!day) {
+            return this.getDefaultDateData();
         }
+        const result = SchemaManager.upgradeDay(day, key);
+        if (result.changed) {
+            this.saveDateData(date, result.day);
+        }
+        return result.day;
     },
 
-    // Sort tasks by start time
-    sortTasks() {
-        AppState.currentData.tasks.sort((a, b) => {
-            return a.startTime.localeCompare(b.startTime);
-        });
+    // Save data for a specific date, stamped with the schema version
+    saveDateData(date, data) {
+        const key = `schedule_${date}`;
+        data.schemaVersion = SchemaManager.VERSION;
+        const value = JSON.stringify(data);
+        HistoryManager.recordBefore(key, value);
+        this.backend.setItem(key, value);
     },
 
-    // Get task by ID
-    getTask(id) {
-        return AppState.currentData.tasks.find(t => t.id === id);
+    // Parse a stored JSON value. Unreadable or wrongly shaped values are
+    // quarantined and removed, and the fallback is returned instead.
+    readJSON(key, fallback, isValid = () => true) {
+        const raw = this.backend.getItem(key);
+        if (raw === null) {
+            return fallback;
+        }
+        let value;
+        try {
+            value = JSON.parse(raw);
+        } catch (e) {
+            QuarantineManager.add(key, raw, 'Unreadable JSON');
+            HistoryManager.recordBefore(key, null);
+            this.backend.removeItem(key);
+            return fallback;
+        }
+        if (!isValid(value)) {
+            QuarantineManager.add(key, raw, 'Unexpected data shape');
+            HistoryManager.recordBefore(key, null);
+            this.backend.removeItem(key);
+            return fallback;
+        }
+        return value;
     },
 
-    // Get completion statistics
-    getStats() {
-        const total = AppState.currentData.tasks.length;
-        const completed = AppState.currentData.tasks.filter(t => t.completed).length;
-        const rate = total > 0 ? Math.round((completed / total) * 100) : 0;
-        return { total, completed, rate };
-    }
-};
+    // Get default empty data structure
+    getDefaultDateData() {
+        return {
+            tasks: [],
+            tracks: {}
+        };
+    },
 
-// ===== Data Science Topic Manager =====
-const DSTopicManager = {
-    // Generate unique ID
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    // Get study track definitions, or null if never customised
+    getTracks() {
+        return this.readJSON('schedule_tracks', null, Array.isArray);
     },
 
-    // Add new Data Science topic
-    addTopic(topicData) {
-        if (topicData.topic.trim()) {
-            const topic = {
-                id: this.generateId(),
-                topic: topicData.topic.trim(),
-                duration: topicData.duration || null,
-                difficulty: topicData.difficulty || 'Intermediate',
-                resource: topicData.resource || 'Other',
-                notes: topicData.notes.trim() || null,
-                date: AppState.getCurrentDateString()
-            };
-            AppState.currentData.dsTopics.push(topic);
-            AppState.save();
-        }
+    // Save study track definitions
+    saveTracks(tracks) {
+        this.backend.setItem('schedule_tracks', JSON.stringify(tracks));
     },
 
-    // Delete topic
-    deleteTopic(id) {
-        AppState.currentData.dsTopics = AppState.currentData.dsTopics.filter(t => t.id !== id);
-        AppState.save();
+    // Get all recurrence rules
+    getRecurringRules() {
+        return this.readJSON('schedule_recurringRules', [], Array.isArray);
     },
 
-    // Get topics for current date
-    getTopics() {
-        return AppState.currentData.dsTopics || [];
+    // Save all recurrence rules
+    saveRecurringRules(rules) {
+        const value = JSON.stringify(rules);
+        HistoryManager.recordBefore('schedule_recurringRules', value);
+        this.backend.setItem('schedule_recurringRules', value);
     },
 
-    // Get summary statistics
-    getSummary() {
-        const topics = this.getTopics();
-        const totalSessions = topics.length;
-        const totalMinutes = topics.reduce((sum, t) => sum + (parseInt(t.duration) || 0), 0);
-        return { totalSessions, totalMinutes };
-    }
-};
+    // Get app-wide settings merged over defaults
+    getSettings() {
+        return Object.assign(this.getDefaultSettings(), this.readJSON('schedule_settings', {}, SchemaManager.isRecord));
+    },
 
-// ===== English Activity Manager =====
-const EnglishManager = {
-    // Generate unique ID
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    // Save app-wide settings
+    saveSettings(settings) {
+        this.backend.setItem('schedule_settings', JSON.stringify(settings));
     },
 
-    // Add new English activity
-    addActivity(activityData) {
-        const activity = {
-            id: this.generateId(),
-            type: activityData.type,
-            duration: activityData.duration || null,
-            completed: activityData.completed === 'true',
-            content: activityData.content.trim() || null,
-            notes: activityData.notes.trim() || null,
-            date: AppState.getCurrentDateString()
+    // Get default settings
+    getDefaultSettings() {
+        return {
+            streakTaskThreshold: 80,
+            dayStart: '06:00',
+            dayEnd: '23:00',
+            focusWorkMinutes: 25,
+            focusBreakMinutes: 5,
+            icsCategoryRules: 'lecture => Data Science\nseminar => Data Science\nenglish => English',
+            icsDefaultCategory: 'Other',
+            autoRollover: false,
+            rolloverDays: 7,
+            lastRollover: null,
+            remindersEnabled: false,
+            reminderLeadMinutes: 10,
+            reminderEndPrompt: true,
+            quietHoursStart: '22:00',
+            quietHoursEnd: '07:00',
+            reminderCategories: {},
+            runningTaskTimer: null,
+            shortcuts: { 'prev-day': 'h', 'next-day': 'l', today: 't', 'add-task': 'n', search: '/', 'log:ds': 'd', 'log:english': 'e' }
         };
-        if (!AppState.currentData.englishActivities) {
-            AppState.currentData.englishActivities = [];
+    },
+
+    // Get the running focus timer, or null when idle
+    getTimerState() {
+        return this.readJSON('schedule_focusTimer', null, SchemaManager.isRecord);
+    },
+
+    // Save the focus timer (null clears it)
+    saveTimerState(state) {
+        if (state) {
+            this.backend.setItem('schedule_focusTimer', JSON.stringify(state));
+        } else {
+            this.backend.removeItem('schedule_focusTimer');
         }
-        AppState.currentData.englishActivities.push(activity);
-        AppState.save();
     },
 
-    // Delete activity
-    deleteActivity(id) {
-        if (!AppState.currentData.englishActivities) return;
-        AppState.currentData.englishActivities = AppState.currentData.englishActivities.filter(a => a.id !== id);
-        AppState.save();
+    // Get user-defined categories and types, or null if never customised
+    getCatalog() {
+        return this.readJSON('schedule_catalog', null, SchemaManager.isRecord);
     },
 
-    // Get activities for current date
-    getActivities() {
-        return AppState.currentData.englishActivities || [];
+    // Save user-defined categories and types
+    saveCatalog(catalog) {
+        this.backend.setItem('schedule_catalog', JSON.stringify(catalog));
     },
 
-    // Get summary statistics
-    getSummary() {
-        const activities = this.getActivities();
-        const totalActivities = activities.length;
-        const completedActivities = activities.filter(a => a.completed).length;
-        const totalMinutes = activities.reduce((sum, a) => sum + (parseInt(a.duration) || 0), 0);
-        return { totalActivities, completedActivities, totalMinutes };
-    }
-};
+    // Get all goals
+    getGoals() {
+        return this.readJSON('schedule_goals', [], Array.isArray);
+    },
 
-// ===== UI Manager =====
-const UI = {
-    // Initialize UI
-    init() {
-        this.updateDateDisplay();
-        this.renderTimetable();
-        this.renderProgress();
-        this.renderDSTopics();
-        this.renderEnglishActivities();
-        this.renderWeeklyOverview();
+    // Save all goals
+    saveGoals(goals) {
+        this.backend.setItem('schedule_goals', JSON.stringify(goals));
     },
 
-    // Update date display in header
-    updateDateDisplay() {
-        const dateElement = document.getElementById('currentDate');
-        dateElement.textContent = DateUtil.formatDateDisplay(AppState.currentDate);
+    // Get all day templates
+    getTemplates() {
+        return this.readJSON('schedule_templates', [], Array.isArray);
     },
 
-    // Render timetable list
-    renderTimetable() {
-        const container = document.getElementById('timetableList');
-        const tasks = AppState.currentData.tasks;
+    // Save all day templates
+    saveTemplates(templates) {
+        this.backend.setItem('schedule_templates', JSON.stringify(templates));
+    },
 
-        if (tasks.length === 0) {
-            container.innerHTML = '<div class="empty-state">No tasks scheduled for today.<br>Click "+ Add Task" to get started.</div>';
-            return;
-        }
+    // Remove stored data for a specific date
+    removeDateData(date) {
+        HistoryManager.recordBefore(`schedule_${date}`, null);
+        this.backend.removeItem(`schedule_${date}`);
+    },
 
-        container.innerHTML = tasks.map(task => {
-            const categoryClass = task.category.toLowerCase().replace(/\s+/g, '-');
-            return `
-                <div class="timetable-item ${task.completed ? 'completed' : ''}">
-                    <input 
-                        type="checkbox" 
-                        class="task-checkbox" 
-                        data-task-id="${task.id}"
-                        ${task.completed ? 'checked' : ''}
-                    >
-                    <div class="task-info">
-                        <div class="task-time">${task.startTime} - ${task.endTime}</div>
-                        <div class="task-name">${task.name}</div>
-                        <span class="task-category ${categoryClass}">${task.category}</span>
-                    </div>
-                    <div class="task-actions">
-                        <button class="btn-icon edit" data-task-id="${task.id}">✏️</button>
-                        <button class="btn-icon delete" data-task-id="${task.id}">🗑️</button>
-                    </div>
-                </div>
-            `;
-        }).join('');
+    // Get every date that has stored data, sorted ascending
+    getAllDates() {
+        const dates = [];
+        this.backend.keys().forEach(key => {
+            const match = /^schedule_(\d{4}-\d{2}-\d{2})$/.exec(key);
+            if (match) {
+                dates.push(match[1]);
+            }
+        });
+        return dates.sort();
+    },
 
-        // Add event listeners for checkboxes
-        container.querySelectorAll('.task-checkbox').forEach(checkbox => {
+    // Get every stored key owned by this app
+    getOwnKeys() {
+        return this.backend.keys().filter(key => key.startsWith('schedule_'));
+    },
+
+    // Remove all of this app's data. Only schedule_* keys are touched, so
+    // anything else stored for the same origin survives. Leftover localStorage
+    // data (and its moved-to-IndexedDB marker) is removed as well.
+    clearAll() {
+        this.getOwnKeys().forEach(key => this.backend.removeItem(key));
+        if (this.backend !== LocalStorageBackend) {
+            LocalStorageBackend.keys()
+                .filter(key => key.startsWith('schedule_'))
+                .forEach(key => LocalStorageBackend.removeItem(key));
+        }
+    },
+
+    // Index records for a day's items: one per task and per track entry
+    getItemRecords(date, day) {
+        const records = (Array.isArray(day.tasks) ? day.tasks : []).map(task => ({
+            uid: `${date}:tasks:${task.id}`,
+            date,
+            type: 'task',
+            category: task.category || '',
+            item: task
+        }));
+        Object.keys(SchemaManager.isRecord(day.tracks) ? day.tracks : {}).forEach(trackId => {
+            const track = TrackManager.getTrack(trackId);
+            const filterField = track && TrackManager.getFilterField(track);
+            (Array.isArray(day.tracks[trackId]) ? day.tracks[trackId] : []).forEach(entry => {
+                records.push({
+                    uid: `${date}:${trackId}:${entry.id}`,
+                    date,
+                    type: trackId,
+                    category: filterField ? entry[filterField.key] || '' : '',
+                    item: entry
+                });
+            });
+        });
+        return records;
+    },
+
+    // Check an item record against a query filter
+    matchesQuery(record, filter) {
+        return record.date >= filter.from && record.date <= filter.to &&
+            (!filter.type || record.type === filter.type) &&
+            (!filter.category || record.category === filter.category);
+    },
+
+    // Query stored day items. filter: { type: 'task' | trackId, from, to, category }.
+    // Resolves to [{ date, type, category, item }] sorted by date. Only stored
+    // items are returned; recurring occurrences appear once their day is saved,
+    // as they were then (SearchManager refreshes them against the rules).
+    queryItems(filter = {}) {
+        return this.backend.query(Object.assign({ from: '0000-01-01', to: '9999-12-31' }, filter));
+    }
+};
+
+// ===== Schema Manager =====
+// Day records carry a schemaVersion stamp. Older records are upgraded step
+// by step when read, then every item is validated: repairable problems are
+// fixed in place and anything else is moved to quarantine.
+const SchemaManager = {
+    VERSION: 2,
+    TIME_PATTERN: /^\d{2}:\d{2}$/,
+
+    // MIGRATIONS[n] upgrades a day record from version n to n + 1.
+    // Records saved before versioning are version 0.
+    MIGRATIONS: [
+        // 0 → 1: the original shape; older days may lack englishActivities
+        day => {
+            ['tasks', 'dsTopics', 'englishActivities'].forEach(collection => {
+                if (day[collection] === undefined || day[collection] === null) {
+                    day[collection] = [];
+                }
+            });
+            return day;
+        },
+        // 1 → 2: DS and English collections become study tracks
+        day => {
+            const tracks = SchemaManager.isRecord(day.tracks) ? day.tracks : {};
+            [['dsTopics', 'ds'], ['englishActivities', 'english']].forEach(([legacyKey, trackId]) => {
+                if (Array.isArray(day[legacyKey])) {
+                    tracks[trackId] = (Array.isArray(tracks[trackId]) ? tracks[trackId] : []).concat(day[legacyKey]);
+                }
+                delete day[legacyKey];
+            });
+            day.tracks = tracks;
+            return day;
+        }
+    ],
+
+    // Check for a plain object
+    isRecord(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    },
+
+    // Upgrade every stored day once per schema version
+    migrateAll() {
+        const stored = parseInt(StorageManager.backend.getItem('schedule_schemaVersion')) || 0;
+        if (stored >= this.VERSION) return;
+        StorageManager.getAllDates().forEach(date => StorageManager.readDay(date));
+        StorageManager.backend.setItem('schedule_schemaVersion', String(this.VERSION));
+    },
+
+    // Upgrade and validate a day record. source is the storage key the record
+    // belongs to, so quarantined items can be restored there later.
+    upgradeDay(day, source) {
+        const before = JSON.stringify(day);
+        let version = Number.isInteger(day.schemaVersion) ? day.schemaVersion : 0;
+        while (version < this.VERSION) {
+            day = this.MIGRATIONS[version](day);
+            version++;
+        }
+        day.schemaVersion = version;
+        day = this.validateDay(day, source);
+        return { day, changed: JSON.stringify(day) !== before };
+    },
+
+    // Validate collections and items, quarantining what can't be repaired
+    validateDay(day, source) {
+        if (!Array.isArray(day.tasks)) {
+            QuarantineManager.add(source, JSON.stringify(day.tasks), 'Task list is not a list');
+            day.tasks = [];
+        }
+        if (!this.isRecord(day.tracks)) {
+            QuarantineManager.add(source, JSON.stringify(day.tracks), 'Study tracks are not an object');
+            day.tracks = {};
+        }
+
+        day.tasks = this.filterValid(day.tasks, task => this.validateTask(task), source, 'tasks');
+        Object.keys(day.tracks).forEach(trackId => {
+            if (!Array.isArray(day.tracks[trackId])) {
+                QuarantineManager.add(source, JSON.stringify(day.tracks[trackId]), 'Entry list is not a list', trackId);
+                day.tracks[trackId] = [];
+                return;
+            }
+            const track = TrackManager.getTrack(trackId);
+            day.tracks[trackId] = this.filterValid(day.tracks[trackId], entry => this.validateEntry(track, entry), source, trackId);
+        });
+        return day;
+    },
+
+    // Keep valid items; quarantine the rest with the problem found
+    filterValid(items, validate, source, collection) {
+        return items.filter(item => {
+            const problem = validate(item);
+            if (problem) {
+                QuarantineManager.add(source, JSON.stringify(item), problem, collection);
+            }
+            return !problem;
+        });
+    },
+
+    // Check that an item id is a plain token (letters, digits, _ and -), so it
+    // can be used in attributes and selectors. Other ids are replaced on load.
+    isSafeId(id) {
+        return typeof id === 'string' && /^[\w-]+$/.test(id);
+    },
+
+    // Validate a task, repairing what can be repaired. Returns a problem or null.
+    validateTask(task) {
+        if (!this.isRecord(task)) return 'Task is not an object';
+        if (typeof task.name !== 'string' || !task.name.trim()) return 'Task has no name';
+        if (!this.TIME_PATTERN.test(task.startTime) || !this.TIME_PATTERN.test(task.endTime)) {
+            return 'Task has an invalid start or end time';
+        }
+        if (!this.isSafeId(task.id)) task.id = TaskManager.generateId();
+        if (typeof task.category !== 'string' || !task.category) task.category = 'Other';
+        task.completed = task.completed === true || task.completed === 'true';
+        if (task.timeLog !== undefined) {
+            task.timeLog = Array.isArray(task.timeLog)
+                ? task.timeLog.filter(interval => this.isRecord(interval) && typeof interval.start === 'number' &&
+                    (interval.end === null || typeof interval.end === 'number'))
+                : [];
+        }
+        if (task.progress !== undefined && typeof task.progress !== 'number') delete task.progress;
+        return null;
+    },
+
+    // Validate a study track entry. Entries of unknown tracks are kept as they are.
+    validateEntry(track, entry) {
+        if (!this.isRecord(entry)) return 'Entry is not an object';
+        if (!this.isSafeId(entry.id)) entry.id = TaskManager.generateId();
+        if (entry.review !== undefined && !this.isRecord(entry.review)) delete entry.review;
+        if (!track) return null;
+
+        const missing = TrackManager.getMissingField(track, entry);
+        if (missing) return `${track.name} entry has no ${missing.label}`;
+        if (TrackManager.getField(track, 'completed')) {
+            entry.completed = entry.completed === true || entry.completed === 'true';
+        }
+        return null;
+    }
+};
+
+// ===== Quarantine Manager =====
+// Stored values that could not be loaded are set aside here, with the raw
+// text, instead of breaking the app. The recovery view lets the user fix and
+// restore, download or discard them.
+const QuarantineManager = {
+    KEY: 'schedule_quarantine',
+
+    // Get quarantined records, oldest first
+    getItems() {
+        const raw = StorageManager.backend.getItem(this.KEY);
+        if (!raw) return [];
+        try {
+            const items = JSON.parse(raw);
+            return Array.isArray(items) ? items : [];
+        } catch (e) {
+            // Keep an unreadable quarantine aside rather than overwrite it
+            StorageManager.backend.setItem(`${this.KEY}_unreadable`, raw);
+            StorageManager.backend.removeItem(this.KEY);
+            return [];
+        }
+    },
+
+    // Save quarantined records
+    saveItems(items) {
+        StorageManager.backend.setItem(this.KEY, JSON.stringify(items));
+    },
+
+    // Quarantine a raw value. collection is set when a single item was removed from a day.
+    add(source, raw, reason, collection = null) {
+        const items = this.getItems();
+        items.push({
+            id: TaskManager.generateId(),
+            source,
+            collection,
+            raw: String(raw),
+            reason,
+            quarantinedAt: new Date().toISOString()
+        });
+        this.saveItems(items);
+    },
+
+    // Get a quarantined record by ID
+    getItem(id) {
+        return this.getItems().find(item => item.id === id);
+    },
+
+    // Discard a quarantined record
+    remove(id) {
+        this.saveItems(this.getItems().filter(item => item.id !== id));
+    },
+
+    // Put a record back after the user has fixed its text. Days and items are
+    // merged into what is stored now; other keys are written back as they are.
+    restore(id, rawText) {
+        const item = this.getItem(id);
+        if (!item) return;
+
+        let value;
+        try {
+            value = JSON.parse(rawText);
+        } catch (e) {
+            throw new Error('This is still not valid JSON.');
+        }
+
+        const dateMatch = /^schedule_(\d{4}-\d{2}-\d{2})$/.exec(item.source);
+        if (dateMatch) {
+            let day = value;
+            if (item.collection) {
+                const track = TrackManager.getTrack(item.collection);
+                const problem = item.collection === 'tasks' ? SchemaManager.validateTask(value) : SchemaManager.validateEntry(track, value);
+                if (problem) {
+                    throw new Error(problem);
+                }
+                day = item.collection === 'tasks'
+                    ? { schemaVersion: SchemaManager.VERSION, tasks: [value], tracks: {} }
+                    : { schemaVersion: SchemaManager.VERSION, tasks: [], tracks: { [item.collection]: [value] } };
+            } else if (!SchemaManager.isRecord(value)) {
+                throw new Error('A day record must be a JSON object.');
+            }
+            this.remove(id);
+            BackupManager.restore({ format: BackupManager.FORMAT, version: BackupManager.VERSION, days: { [dateMatch[1]]: day } }, 'merge', true);
+        } else {
+            this.remove(id);
+            StorageManager.backend.setItem(item.source, JSON.stringify(value));
+        }
+    },
+
+    // Download a quarantined record's raw text
+    download(id) {
+        const item = this.getItem(id);
+        if (item) {
+            FileUtil.download(`recovered-${item.source}${item.collection ? `-${item.collection}` : ''}.json`, item.raw, 'application/json');
+        }
+    }
+};
+
+
+// ===== File Utility Functions =====
+const FileUtil = {
+    // Trigger a browser download for generated content
+    download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    },
+
+    // Read a File selected through an <input type="file"> as text
+    readAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+};
+
+// ===== Backup Manager =====
+// Exports every stored day into one versioned JSON file and restores it
+const BackupManager = {
+    FORMAT: 'my-study-schedule-backup',
+    VERSION: 3,
+    // Optional backup fields and the shape each must have
+    LIST_FIELDS: ['recurringRules', 'tracks', 'templates', 'goals', 'quarantine'],
+    RECORD_FIELDS: ['catalog', 'settings'],
+
+    // Collect all stored days, plus every other persisted record, into a
+    // backup object. Only the running focus timer and storage bookkeeping
+    // (schema version, migration marker) are left out.
+    createBackup() {
+        const days = {};
+        StorageManager.getAllDates().forEach(date => {
+            days[date] = StorageManager.getDateData(date);
+        });
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            recurringRules: StorageManager.getRecurringRules(),
+            catalog: CatalogManager.getCatalog(),
+            tracks: TrackManager.getTracks(true),
+            templates: StorageManager.getTemplates(),
+            goals: StorageManager.getGoals(),
+            settings: StorageManager.readJSON('schedule_settings', {}, SchemaManager.isRecord),
+            quarantine: QuarantineManager.getItems(),
+            days
+        };
+    },
+
+    // Download the backup as a JSON file
+    exportToFile() {
+        const backup = this.createBackup();
+        const filename = `study-schedule-backup-${DateUtil.formatDate(new Date())}.json`;
+        FileUtil.download(filename, JSON.stringify(backup, null, 2), 'application/json');
+        return backup;
+    },
+
+    // Parse and validate backup file contents
+    parseBackup(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (e) {
+            throw new Error('The selected file is not valid JSON.');
+        }
+        if (!SchemaManager.isRecord(backup) || backup.format !== this.FORMAT) {
+            throw new Error('The selected file is not a study schedule backup.');
+        }
+        if (backup.version > this.VERSION) {
+            throw new Error(`Backup version ${backup.version} is newer than this app supports.`);
+        }
+        if (!SchemaManager.isRecord(backup.days)) {
+            throw new Error('The backup is damaged: "days" must be an object of dates.');
+        }
+        this.LIST_FIELDS.forEach(field => {
+            if (backup[field] !== undefined && !Array.isArray(backup[field])) {
+                throw new Error(`The backup is damaged: "${field}" must be a list.`);
+            }
+        });
+        this.RECORD_FIELDS.forEach(field => {
+            if (backup[field] !== undefined && !SchemaManager.isRecord(backup[field])) {
+                throw new Error(`The backup is damaged: "${field}" must be an object.`);
+            }
+        });
+        Object.keys(backup.days).forEach(date => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+                throw new Error(`Invalid date key in backup: ${date}`);
+            }
+        });
+        return backup;
+    },
+
+    // Restore a backup. mode is 'replace' or 'merge'; when merging, items
+    // with the same id but different contents are reported as conflicts and
+    // kept as they are locally unless preferImported is set.
+    restore(backup, mode, preferImported = false) {
+        const report = { mode, days: 0, added: 0, updated: 0, unchanged: 0, skippedTemplates: 0, conflicts: [] };
+
+        if (mode === 'replace') {
+            StorageManager.getAllDates().forEach(date => StorageManager.removeDateData(date));
+        }
+
+        // Restore recurrence rules before days so occurrences expand against them
+        const rules = mode === 'replace' ? [] : StorageManager.getRecurringRules();
+        (backup.recurringRules || []).forEach(rule => {
+            const index = rules.findIndex(existing => existing.id === rule.id);
+            if (index === -1) {
+                rules.push(rule);
+                report.added++;
+            } else if (JSON.stringify(rules[index]) === JSON.stringify(rule)) {
+                report.unchanged++;
+            } else {
+                report.conflicts.push({ date: rule.startDate, collection: 'recurringRules', id: rule.id, resolution: preferImported ? 'imported' : 'local' });
+                if (preferImported) {
+                    rules[index] = rule;
+                    report.updated++;
+                }
+            }
+        });
+        StorageManager.saveRecurringRules(rules);
+
+        // Categories and types: replace wholesale, or add the ones missing locally
+        if (backup.catalog) {
+            const catalog = mode === 'replace' ? CatalogManager.getDefaultCatalog() : CatalogManager.getCatalog();
+            Object.keys(CatalogManager.KINDS).forEach(kind => {
+                if (!Array.isArray(backup.catalog[kind])) return;
+                if (mode === 'replace') {
+                    catalog[kind] = backup.catalog[kind];
+                    return;
+                }
+                backup.catalog[kind].forEach(item => {
+                    if (!catalog[kind].some(existing => existing.id === item.id || existing.name === item.name)) {
+                        catalog[kind].push(item);
+                    }
+                });
+            });
+            StorageManager.saveCatalog(catalog);
+        }
+
+        // Study track definitions: replace wholesale, or add the ones missing locally
+        if (Array.isArray(backup.tracks)) {
+            const tracks = mode === 'replace' ? [] : TrackManager.getTracks(true);
+            backup.tracks.forEach(track => {
+                if (!tracks.some(existing => existing.id === track.id)) {
+                    tracks.push(track);
+                }
+            });
+            StorageManager.saveTracks(tracks);
+        }
+
+        // Day templates: replace wholesale, or add the ones missing locally.
+        // Malformed templates (no blocks, bad times) are left out and counted.
+        if (Array.isArray(backup.templates)) {
+            const templates = mode === 'replace' ? [] : StorageManager.getTemplates();
+            backup.templates.forEach(template => {
+                if (!TemplateManager.isValidTemplate(template)) {
+                    report.skippedTemplates++;
+                } else if (!templates.some(existing => existing.id === template.id)) {
+                    templates.push(template);
+                }
+            });
+            StorageManager.saveTemplates(templates);
+        }
+
+        // Goals: replace wholesale, or add the ones missing locally
+        if (Array.isArray(backup.goals)) {
+            const goals = mode === 'replace' ? [] : StorageManager.getGoals();
+            backup.goals.forEach(goal => {
+                if (SchemaManager.isRecord(goal) && !goals.some(existing => existing.id === goal.id)) {
+                    goals.push(goal);
+                }
+            });
+            StorageManager.saveGoals(goals);
+        }
+
+        // Settings (shortcuts, reminders, .ics rules, …): replace wholesale, or
+        // take the backup's value wherever the local one is still the default
+        if (backup.settings) {
+            const defaults = StorageManager.getDefaultSettings();
+            const local = StorageManager.getSettings();
+            const changed = {};
+            Object.keys(local).forEach(key => {
+                if (mode === 'merge' && JSON.stringify(local[key]) !== JSON.stringify(defaults[key])) {
+                    changed[key] = local[key];
+                }
+            });
+            StorageManager.saveSettings(Object.assign({}, backup.settings, changed));
+        }
+
+        // Records set aside for recovery: replace, or add the missing ones
+        if (Array.isArray(backup.quarantine)) {
+            const items = mode === 'replace' ? [] : QuarantineManager.getItems();
+            backup.quarantine.forEach(item => {
+                if (SchemaManager.isRecord(item) && !items.some(existing => existing.id === item.id)) {
+                    items.push(item);
+                }
+            });
+            QuarantineManager.saveItems(items);
+        }
+
+        Object.keys(backup.days).sort().forEach(date => {
+            const incoming = this.normalizeDay(backup.days[date], date);
+            const target = mode === 'replace' ? StorageManager.getDefaultDateData() : StorageManager.getDateData(date);
+
+            this.mergeItems(target.tasks, incoming.tasks, date, 'tasks', report, preferImported);
+            Object.keys(incoming.tracks).forEach(trackId => {
+                if (!target.tracks[trackId]) {
+                    target.tracks[trackId] = [];
+                }
+                this.mergeItems(target.tracks[trackId], incoming.tracks[trackId], date, trackId, report, preferImported);
+            });
+
+            target.tasks.sort((a, b) => a.startTime.localeCompare(b.startTime));
+            StorageManager.saveDateData(date, target);
+            report.days++;
+        });
+
+        // Refresh current view
+        AppState.currentData = StorageManager.getDateData(AppState.getCurrentDateString());
+        return report;
+    },
+
+    // Merge incoming items into a target list by id, counting into the report
+    mergeItems(target, incoming, date, collection, report, preferImported) {
+        incoming.forEach(item => {
+            const index = target.findIndex(existing => existing.id === item.id);
+            if (index === -1) {
+                target.push(item);
+                report.added++;
+            } else if (JSON.stringify(target[index]) === JSON.stringify(item)) {
+                report.unchanged++;
+            } else {
+                report.conflicts.push({ date, collection, id: item.id, resolution: preferImported ? 'imported' : 'local' });
+                if (preferImported) {
+                    target[index] = item;
+                    report.updated++;
+                }
+            }
+        });
+    },
+
+    // Upgrade and validate a backup's day record (a copy, so the backup
+    // object itself is left untouched). Invalid items go to quarantine.
+    normalizeDay(day, date) {
+        if (!SchemaManager.isRecord(day)) {
+            QuarantineManager.add(`schedule_${date}`, JSON.stringify(day), 'Backup day is not an object');
+            return StorageManager.getDefaultDateData();
+        }
+        return SchemaManager.upgradeDay(JSON.parse(JSON.stringify(day)), `schedule_${date}`).day;
+    }
+};
+
+// ===== Date Utility Functions =====
+const DateUtil = {
+    // Format date as YYYY-MM-DD
+    formatDate(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    },
+
+    // Format date for display (e.g., "Monday, Dec 14, 2025")
+    formatDateDisplay(date) {
+        const options = { weekday: 'long', year: 'numeric', month: 'short', day: 'numeric' };
+        return date.toLocaleDateString('en-US', options);
+    },
+
+    // Get day name (e.g., "Mon", "Tue")
+    getDayName(date) {
+        return date.toLocaleDateString('en-US', { weekday: 'short' });
+    },
+
+    // Get date string for display (e.g., "12/14")
+    getDateString(date) {
+        return `${date.getMonth() + 1}/${date.getDate()}`;
+    },
+
+    // Add days to a date
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    },
+
+    // Get start of week (Monday)
+    getStartOfWeek(date) {
+        const result = new Date(date);
+        const day = result.getDay();
+        const diff = day === 0 ? -6 : 1 - day; // If Sunday, go back 6 days, else go to Monday
+        result.setDate(result.getDate() + diff);
+        return result;
+    },
+
+    // Get the week (Monday-Sunday) or month containing a date as YYYY-MM-DD strings
+    getPeriodRange(date, period) {
+        if (period === 'month') {
+            const start = new Date(date.getFullYear(), date.getMonth(), 1);
+            const end = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+            return { start: this.formatDate(start), end: this.formatDate(end) };
+        }
+        const start = this.getStartOfWeek(date);
+        return { start: this.formatDate(start), end: this.formatDate(this.addDays(start, 6)) };
+    },
+
+    // Parse a YYYY-MM-DD string into a local Date
+    parseDate(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    // Whole days from one YYYY-MM-DD string to another (DST-safe)
+    daysBetween(fromDate, toDate) {
+        const from = this.parseDate(fromDate);
+        const to = this.parseDate(toDate);
+        return Math.round((Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+            Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / 86400000);
+    },
+
+    // Add days to a YYYY-MM-DD string
+    addDaysToString(dateString, days) {
+        return this.formatDate(this.addDays(this.parseDate(dateString), days));
+    },
+
+    // Add months to a date, clamping the day to the target month's length
+    addMonths(date, months) {
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+        return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+    }
+};
+
+// ===== Time Utility Functions =====
+const TimeUtil = {
+    // Convert "HH:MM" to minutes since midnight
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    },
+
+    // Convert minutes since midnight to "HH:MM"
+    fromMinutes(totalMinutes) {
+        const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+        const minutes = String(totalMinutes % 60).padStart(2, '0');
+        return `${hours}:${minutes}`;
+    },
+
+    // Check whether two [start, end) time ranges overlap
+    overlaps(startA, endA, startB, endB) {
+        return startA < endB && startB < endA;
+    }
+};
+
+// ===== Application State =====
+const AppState = {
+    currentDate: new Date(),
+    currentData: null,
+    editingTaskId: null,
+    editingEntries: {},
+
+    // Initialize state with today's data
+    init() {
+        SchemaManager.migrateAll();
+        this.currentData = StorageManager.getDateData(this.getCurrentDateString());
+        TaskManager.autoRollOver();
+    },
+
+    // Get current date as string
+    getCurrentDateString() {
+        return DateUtil.formatDate(this.currentDate);
+    },
+
+    // Change current date
+    setDate(date) {
+        this.currentDate = date;
+        this.currentData = StorageManager.getDateData(this.getCurrentDateString());
+    },
+
+    // Save current data to storage
+    save() {
+        StorageManager.saveDateData(this.getCurrentDateString(), this.currentData);
+    },
+
+    // Navigate to previous day
+    prevDay() {
+        this.setDate(DateUtil.addDays(this.currentDate, -1));
+    },
+
+    // Navigate to next day
+    nextDay() {
+        this.setDate(DateUtil.addDays(this.currentDate, 1));
+    },
+
+    // Jump to today
+    goToToday() {
+        this.setDate(new Date());
+    },
+
+    // Move by one calendar period ('month' or 'week') in either direction
+    shiftPeriod(view, direction) {
+        this.setDate(view === 'month'
+            ? DateUtil.addMonths(this.currentDate, direction)
+            : DateUtil.addDays(this.currentDate, 7 * direction));
+    }
+};
+
+// ===== Catalog Manager =====
+// User-defined task categories, DS difficulties, DS resource types and English
+// activity types. Entries store the item name, so renames are carried over to
+// every stored day, recurrence rule, goal and setting that uses the old name.
+const CatalogManager = {
+    KINDS: {
+        taskCategories: 'Task Categories',
+        dsDifficulties: 'Difficulty Levels',
+        dsResources: 'DS Resource Types',
+        englishTypes: 'English Activity Types'
+    },
+
+    // Built-in items, matching the options the app originally shipped with
+    getDefaultCatalog() {
+        const item = (id, name, icon, color) => ({ id, name, icon, color, archived: false });
+        return {
+            taskCategories: [
+                item('data-science', 'Data Science', '', '#1e40af'),
+                item('english', 'English', '', '#92400e'),
+                item('travel', 'Travel', '', '#4338ca'),
+                item('rest', 'Rest', '', '#166534'),
+                item('other', 'Other', '', '#374151')
+            ],
+            dsDifficulties: [
+                item('beginner', 'Beginner', '🟢', '#16a34a'),
+                item('intermediate', 'Intermediate', '🟡', '#ca8a04'),
+                item('advanced', 'Advanced', '🔴', '#dc2626')
+            ],
+            dsResources: [
+                item('video', 'Video', '📹', '#6b7280'),
+                item('book', 'Book', '📚', '#6b7280'),
+                item('course', 'Course', '🎓', '#6b7280'),
+                item('practice', 'Practice', '💻', '#6b7280'),
+                item('documentation', 'Documentation', '📄', '#6b7280'),
+                item('other', 'Other', '📝', '#6b7280')
+            ],
+            englishTypes: [
+                item('podcast', 'Podcast', '🎧', '#2563eb'),
+                item('speaking', 'Speaking', '🗣️', '#2563eb'),
+                item('writing', 'Writing', '✍️', '#2563eb'),
+                item('reading', 'Reading', '📖', '#2563eb'),
+                item('vocabulary', 'Vocabulary', '📝', '#2563eb'),
+                item('grammar', 'Grammar', '📐', '#2563eb')
+            ]
+        };
+    },
+
+    // Get the full catalog
+    getCatalog() {
+        return Object.assign(this.getDefaultCatalog(), StorageManager.getCatalog() || {});
+    },
+
+    // Get items of one kind in display order
+    getItems(kind, includeArchived = false) {
+        return this.getCatalog()[kind].filter(item => includeArchived || !item.archived);
+    },
+
+    // Get item names of one kind (including archived ones, for history)
+    getNames(kind, includeArchived = true) {
+        return this.getItems(kind, includeArchived).map(item => item.name);
+    },
+
+    // Find an item by name
+    findByName(kind, name) {
+        return this.getCatalog()[kind].find(item => item.name === name) || null;
+    },
+
+    // Preferred name if it is still active, otherwise the first active item
+    getDefault(kind, preferredName) {
+        const items = this.getItems(kind);
+        const preferred = items.find(item => item.name === preferredName);
+        return preferred ? preferred.name : items.length > 0 ? items[0].name : preferredName;
+    },
+
+    // Color for a name, gray when unknown
+    getColor(kind, name) {
+        const item = this.findByName(kind, name);
+        return item && /^#[0-9a-f]{6}$/i.test(item.color) ? item.color : '#6b7280';
+    },
+
+    // Icon-prefixed label for a name
+    getLabel(kind, name) {
+        const item = this.findByName(kind, name);
+        return item && item.icon ? `${item.icon} ${name}` : name;
+    },
+
+    // Add an item at the end of a kind
+    addItem(kind, name, icon = '', color = '#6b7280') {
+        const trimmed = name.trim();
+        const catalog = this.getCatalog();
+        this.assertUniqueName(catalog, kind, trimmed);
+        const item = { id: TaskManager.generateId(), name: trimmed, icon: icon.trim(), color, archived: false };
+        catalog[kind].push(item);
+        StorageManager.saveCatalog(catalog);
+        return item;
+    },
+
+    // Update icon, color or archived flag of an item
+    updateItem(kind, id, changes) {
+        const catalog = this.getCatalog();
+        const item = catalog[kind].find(i => i.id === id);
+        if (!item) return;
+        ['icon', 'color', 'archived'].forEach(key => {
+            if (changes[key] !== undefined) item[key] = changes[key];
+        });
+        if (catalog[kind].every(i => i.archived)) {
+            throw new Error('At least one item must stay active.');
+        }
+        StorageManager.saveCatalog(catalog);
+    },
+
+    // Move an item up (-1) or down (+1)
+    moveItem(kind, id, direction) {
+        const catalog = this.getCatalog();
+        const items = catalog[kind];
+        const index = items.findIndex(i => i.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= items.length) return;
+        [items[index], items[target]] = [items[target], items[index]];
+        StorageManager.saveCatalog(catalog);
+    },
+
+    // Throw if another item of the kind already has this name
+    assertUniqueName(catalog, kind, name, exceptId = null) {
+        if (!name) {
+            throw new Error('Name cannot be empty.');
+        }
+        if (catalog[kind].some(i => i.id !== exceptId && i.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`"${name}" already exists.`);
+        }
+    },
+
+    // Rename an item and rewrite every stored reference to the old name
+    renameItem(kind, id, newName) {
+        const trimmed = newName.trim();
+        const catalog = this.getCatalog();
+        const item = catalog[kind].find(i => i.id === id);
+        if (!item || item.name === trimmed) return;
+        this.assertUniqueName(catalog, kind, trimmed, id);
+
+        const oldName = item.name;
+        item.name = trimmed;
+        StorageManager.saveCatalog(catalog);
+
+        const swap = value => (value === oldName ? trimmed : value);
+
+        if (kind === 'taskCategories') {
+            // Rules first, so day reads expand occurrences with the new name
+            const rules = StorageManager.getRecurringRules();
+            rules.forEach(rule => {
+                rule.category = swap(rule.category);
+                Object.values(rule.overrides).forEach(override => {
+                    if (override.category) override.category = swap(override.category);
+                });
+            });
+            StorageManager.saveRecurringRules(rules);
+
+            const settings = StorageManager.getSettings();
+            settings.icsDefaultCategory = swap(settings.icsDefaultCategory);
+            // Rewrite the category side of "pattern => Category" import rules
+            settings.icsCategoryRules = settings.icsCategoryRules.split('\n').map(line => {
+                const parts = line.split('=>');
+                return parts.length === 2 && parts[1].trim() === oldName ? `${parts[0].trimEnd()} => ${trimmed}` : line;
+            }).join('\n');
+            if (settings.reminderCategories[oldName]) {
+                settings.reminderCategories[trimmed] = settings.reminderCategories[oldName];
+                delete settings.reminderCategories[oldName];
+            }
+            StorageManager.saveSettings(settings);
+
+            const templates = StorageManager.getTemplates();
+            templates.forEach(template => {
+                template.tasks.forEach(block => { block.category = swap(block.category); });
+            });
+            StorageManager.saveTemplates(templates);
+        }
+
+        // Track fields backed by this kind, and goals that filter on one of them
+        const tracks = TrackManager.getTracks(true);
+        const usesKind = field => field && field.catalog === kind;
+
+        const goals = StorageManager.getGoals();
+        goals.forEach(goal => {
+            const track = tracks.find(t => t.id === goal.subject);
+            if (goal.subject === 'category' ? kind === 'taskCategories' : track && usesKind(TrackManager.getFilterField(track))) {
+                goal.filter = swap(goal.filter);
+            }
+        });
+        StorageManager.saveGoals(goals);
+
+        StorageManager.getAllDates().forEach(date => {
+            const data = StorageManager.getDateData(date);
+            if (kind === 'taskCategories') {
+                data.tasks.forEach(t => { t.category = swap(t.category); });
+            }
+            tracks.forEach(track => {
+                track.fields.filter(usesKind).forEach(field => {
+                    (data.tracks[track.id] || []).forEach(entry => { entry[field.key] = swap(entry[field.key]); });
+                });
+            });
+            StorageManager.saveDateData(date, data);
+        });
+
+        AppState.currentData = StorageManager.getDateData(AppState.getCurrentDateString());
+    }
+};
+
+// ===== Task Manager =====
+const TaskManager = {
+    // Generate unique ID for tasks
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    },
+
+    // Add new task. extra holds additional stored fields (e.g. import source)
+    addTask(taskData, extra = {}) {
+        this.assertValidTimes(taskData);
+        const task = Object.assign({
+            id: this.generateId(),
+            startTime: taskData.startTime,
+            endTime: taskData.endTime,
+            name: taskData.name,
+            category: taskData.category,
+            completed: false
+        }, extra);
+        AppState.currentData.tasks.push(task);
+        this.sortTasks();
+        AppState.save();
+        return task;
+    },
+
+    // Add new task to any date, not just the one being viewed
+    addTaskToDate(date, taskData, extra = {}) {
+        if (date === AppState.getCurrentDateString()) {
+            return this.addTask(taskData, extra);
+        }
+        this.assertValidTimes(taskData);
+        const dateData = StorageManager.getDateData(date);
+        const task = Object.assign({
+            id: this.generateId(),
+            startTime: taskData.startTime,
+            endTime: taskData.endTime,
+            name: taskData.name,
+            category: taskData.category,
+            completed: false
+        }, extra);
+        dateData.tasks.push(task);
+        dateData.tasks.sort((a, b) => a.startTime.localeCompare(b.startTime));
+        StorageManager.saveDateData(date, dateData);
+        return task;
+    },
+
+    // Update existing task
+    updateTask(id, taskData) {
+        const task = AppState.currentData.tasks.find(t => t.id === id);
+        if (task) {
+            this.assertValidTimes(taskData);
+            task.startTime = taskData.startTime;
+            task.endTime = taskData.endTime;
+            task.name = taskData.name;
+            task.category = taskData.category;
+            this.sortTasks();
+            AppState.save();
+        }
+    },
+
+    // Delete task
+    deleteTask(id) {
+        AppState.currentData.tasks = AppState.currentData.tasks.filter(t => t.id !== id);
+        AppState.save();
+    },
+
+    // Toggle task completion. Completing a task stops its timer.
+    toggleTask(id) {
+        const task = AppState.currentData.tasks.find(t => t.id === id);
+        if (task) {
+            task.completed = !task.completed;
+            if (task.completed) {
+                this.closeInterval(task, Date.now());
+            }
+            AppState.save();
+        }
+    },
+
+    // Record partial completion (0-100%); 100% marks the task completed
+    setProgress(id, percent) {
+        const task = this.getTask(id);
+        if (!task) return;
+        task.progress = Math.min(100, Math.max(0, parseInt(percent) || 0));
+        task.completed = task.progress === 100;
+        if (task.completed) {
+            this.closeInterval(task, Date.now());
+        }
+        AppState.save();
+    },
+
+    // Get a task's completion percentage
+    getProgress(task) {
+        return task.completed ? 100 : task.progress || 0;
+    },
+
+    // Start timing a task on the current day. Only one task runs at a time,
+    // on any day: the running one (kept in settings) is stopped first.
+    startTimer(id) {
+        const task = this.getTask(id);
+        if (!task || this.isTimerRunning(task)) return;
+        const now = Date.now();
+        this.stopRunningTimer(now);
+        AppState.currentData.tasks.forEach(t => this.closeInterval(t, now));
+        task.timeLog = (task.timeLog || []).concat({ start: now, end: null });
+        AppState.save();
+        this.setRunningTimer({ date: AppState.getCurrentDateString(), taskId: id });
+    },
+
+    // Stop timing a task
+    stopTimer(id) {
+        const task = this.getTask(id);
+        if (!task || !this.isTimerRunning(task)) return;
+        this.closeInterval(task, Date.now());
+        AppState.save();
+        this.setRunningTimer(null);
+    },
+
+    // Get the running timer as { date, task }, or null
+    getRunningTimer() {
+        const running = StorageManager.getSettings().runningTaskTimer;
+        if (!running) return null;
+        const task = this.getDayData(running.date).tasks.find(t => t.id === running.taskId);
+        return task && this.isTimerRunning(task) ? { date: running.date, task } : null;
+    },
+
+    // Remember which task is being timed ({ date, taskId } or null)
+    setRunningTimer(running) {
+        const settings = StorageManager.getSettings();
+        settings.runningTaskTimer = running;
+        StorageManager.saveSettings(settings);
+    },
+
+    // Stop the running timer, whichever day its task is on
+    stopRunningTimer(now = Date.now()) {
+        const running = StorageManager.getSettings().runningTaskTimer;
+        if (!running) return;
+        const data = this.getDayData(running.date);
+        const task = data.tasks.find(t => t.id === running.taskId);
+        if (task && (task.timeLog || []).some(interval => interval.end === null)) {
+            this.closeInterval(task, now);
+            this.saveDayData(running.date, data);
+        }
+        this.setRunningTimer(null);
+    },
+
+    // Get the latest time an interval can end: midnight after it started,
+    // so a forgotten timer stops counting at the end of its day
+    getIntervalLimit(interval) {
+        const limit = new Date(interval.start);
+        limit.setHours(24, 0, 0, 0);
+        return limit.getTime();
+    },
+
+    // End a task's running interval, if any
+    closeInterval(task, now) {
+        (task.timeLog || []).forEach(interval => {
+            if (interval.end === null) interval.end = Math.min(now, this.getIntervalLimit(interval));
+        });
+    },
+
+    // Check whether a task's timer is running (and hasn't passed midnight)
+    isTimerRunning(task, now = Date.now()) {
+        return (task.timeLog || []).some(interval => interval.end === null && now < this.getIntervalLimit(interval));
+    },
+
+    // Check whether a running timer has gone past the task's planned length
+    isTimerOverrun(task, now = Date.now()) {
+        return this.isTimerRunning(task, now) && this.getActualMinutes(task, now) > this.getPlannedMinutes(task);
+    },
+
+    // Get the planned length of a task in minutes
+    getPlannedMinutes(task) {
+        return TimeUtil.toMinutes(task.endTime) - TimeUtil.toMinutes(task.startTime);
+    },
+
+    // Get the tracked time of a task in minutes (a running interval counts up
+    // to now, but not past midnight)
+    getActualMinutes(task, now = Date.now()) {
+        const ms = (task.timeLog || []).reduce((sum, interval) =>
+            sum + Math.max(0, (interval.end === null ? Math.min(now, this.getIntervalLimit(interval)) : interval.end) - interval.start), 0);
+        return Math.round(ms / 60000);
+    },
+
+    // Get a day's data, using the in-memory copy for the day being viewed
+    getDayData(date) {
+        return date === AppState.getCurrentDateString() ? AppState.currentData : StorageManager.getDateData(date);
+    },
+
+    // Save a day's data obtained from getDayData
+    saveDayData(date, data) {
+        data.tasks.sort((a, b) => a.startTime.localeCompare(b.startTime));
+        if (date === AppState.getCurrentDateString()) {
+            AppState.save();
+        } else {
+            StorageManager.saveDateData(date, data);
+        }
+    },
+
+    // Move a task to new times and/or another date. A recurring occurrence
+    // moved within its day becomes a one-day override; moved to another day it
+    // is taken out of its series and becomes a standalone task.
+    moveTask(fromDate, id, toDate, times) {
+        this.assertValidTimes(times);
+        const source = this.getDayData(fromDate);
+        const task = source.tasks.find(t => t.id === id);
+        if (!task) {
+            throw new Error('Task not found.');
+        }
+        const taskData = Object.assign({}, task, times);
+
+        if (task.ruleId) {
+            if (fromDate === toDate) {
+                RecurrenceManager.updateOccurrence(task, fromDate, taskData, null, 'this');
+                return;
+            }
+            RecurrenceManager.deleteOccurrence(task, fromDate, 'this');
+            this.addTaskToDate(toDate, taskData, { completed: !!task.completed });
+            return;
+        }
+
+        if (fromDate === toDate) {
+            task.startTime = times.startTime;
+            task.endTime = times.endTime;
+            this.saveDayData(fromDate, source);
+            return;
+        }
+        source.tasks = source.tasks.filter(t => t.id !== id);
+        this.saveDayData(fromDate, source);
+        this.addTaskToDate(toDate, taskData, taskData);
+    },
+
+    // Get unfinished one-off tasks from the `days` days before toDate.
+    // Recurring occurrences are skipped since they come back on their own.
+    getRolloverCandidates(toDate, days) {
+        const fromDate = DateUtil.addDaysToString(toDate, -days);
+        const candidates = [];
+        StorageManager.getAllDates()
+            .filter(date => date >= fromDate && date < toDate)
+            .forEach(date => {
+                this.getDayData(date).tasks
+                    .filter(task => !task.completed && !task.ruleId)
+                    .forEach(task => candidates.push({ date, task }));
+            });
+        return candidates;
+    },
+
+    // Move unfinished tasks from previous days onto toDate, keeping their time
+    // when it is free (otherwise the next free slot). Each move increments the
+    // task's deferCount; deferredFrom keeps the date it was first planned for.
+    // Tasks whose times can't be placed (e.g. an overnight 23:00-01:00 block)
+    // stay where they are. Tasks are removed from their old day only after
+    // they were added to toDate. Returns { moved, skipped: [{ date, task }] }.
+    rollOverTasks(toDate, days) {
+        const candidates = this.getRolloverCandidates(toDate, days);
+        const movable = [];
+        const skipped = [];
+        candidates.forEach(candidate => {
+            try {
+                this.assertValidTimes(candidate.task);
+                movable.push(candidate);
+            } catch (error) {
+                skipped.push(candidate);
+            }
+        });
+
+        movable.forEach(({ date, task }) => {
+            const duration = TimeUtil.toMinutes(task.endTime) - TimeUtil.toMinutes(task.startTime);
+            const times = this.findSlot(duration, [toDate], task.startTime) ||
+                { startTime: task.startTime, endTime: task.endTime };
+            const taskData = Object.assign({}, task, times, {
+                deferCount: (task.deferCount || 0) + 1,
+                deferredFrom: task.deferredFrom || date
+            });
+            this.addTaskToDate(toDate, taskData, taskData);
+        });
+
+        const byDate = {};
+        movable.forEach(({ date, task }) => {
+            (byDate[date] = byDate[date] || []).push(task.id);
+        });
+        Object.keys(byDate).forEach(date => {
+            const data = this.getDayData(date);
+            data.tasks = data.tasks.filter(task => !byDate[date].includes(task.id));
+            this.saveDayData(date, data);
+        });
+        return { moved: movable.length, skipped };
+    },
+
+    // Roll unfinished tasks over to today once a day when enabled in settings
+    autoRollOver() {
+        const settings = StorageManager.getSettings();
+        const today = DateUtil.formatDate(new Date());
+        if (!settings.autoRollover || settings.lastRollover === today) return 0;
+
+        const result = this.rollOverTasks(today, settings.rolloverDays);
+        settings.lastRollover = today;
+        StorageManager.saveSettings(settings);
+        return result;
+    },
+
+    // Sort tasks by start time
+    sortTasks() {
+        AppState.currentData.tasks.sort((a, b) => {
+            return a.startTime.localeCompare(b.startTime);
+        });
+    },
+
+    // Get task by ID
+    getTask(id) {
+        return AppState.currentData.tasks.find(t => t.id === id);
+    },
+
+    // Throw if a task's end time is not after its start time
+    assertValidTimes(taskData) {
+        if (!taskData.startTime || !taskData.endTime || taskData.endTime <= taskData.startTime) {
+            throw new Error('End time must be after start time.');
+        }
+    },
+
+    // Validate a task against the tasks of one or more days.
+    // Returns an error message (or null) and the list of overlapping tasks.
+    validateTask(taskData, tasks, excludeTask = null) {
+        const error = taskData.endTime <= taskData.startTime ? 'End time must be after start time.' : null;
+        const conflicts = error ? [] : tasks.filter(task =>
+            !this.isSameTask(task, excludeTask) &&
+            TimeUtil.overlaps(taskData.startTime, taskData.endTime, task.startTime, task.endTime)
+        );
+        return { error, conflicts };
+    },
+
+    // Check whether a task is the excluded task or another occurrence of its rule
+    isSameTask(task, excludeTask) {
+        if (!excludeTask) return false;
+        return task.id === excludeTask.id || (!!excludeTask.ruleId && task.ruleId === excludeTask.ruleId);
+    },
+
+    // Get ids of tasks in a list that overlap another task in the same list
+    getConflictIds(tasks) {
+        const ids = new Set();
+        tasks.forEach((a, i) => {
+            tasks.slice(i + 1).forEach(b => {
+                if (TimeUtil.overlaps(a.startTime, a.endTime, b.startTime, b.endTime)) {
+                    ids.add(a.id);
+                    ids.add(b.id);
+                }
+            });
+        });
+        return ids;
+    },
+
+    // Get free windows of at least minMinutes between dayStart and dayEnd
+    getFreeSlots(tasks, minMinutes = 15, settings = StorageManager.getSettings()) {
+        const dayStart = TimeUtil.toMinutes(settings.dayStart);
+        const dayEnd = TimeUtil.toMinutes(settings.dayEnd);
+        const busy = tasks
+            .map(t => [TimeUtil.toMinutes(t.startTime), TimeUtil.toMinutes(t.endTime)])
+            .filter(([start, end]) => end > start)
+            .sort((a, b) => a[0] - b[0]);
+
+        const slots = [];
+        let cursor = dayStart;
+        busy.forEach(([start, end]) => {
+            if (start - cursor >= minMinutes) {
+                slots.push({ start: cursor, end: Math.min(start, dayEnd) });
+            }
+            cursor = Math.max(cursor, end);
+        });
+        if (dayEnd - cursor >= minMinutes) {
+            slots.push({ start: cursor, end: dayEnd });
+        }
+
+        return slots
+            .filter(slot => slot.end - slot.start >= minMinutes)
+            .map(slot => ({
+                startTime: TimeUtil.fromMinutes(slot.start),
+                endTime: TimeUtil.fromMinutes(slot.end),
+                minutes: slot.end - slot.start
+            }));
+    },
+
+    // Find the earliest window of durationMinutes that is free on every given
+    // date, starting no earlier than notBefore ("HH:MM"). Returns null if none.
+    findSlot(durationMinutes, dates, notBefore = null, excludeTask = null) {
+        const busy = [];
+        dates.forEach(date => {
+            const tasks = date === AppState.getCurrentDateString() ? AppState.currentData.tasks : StorageManager.getDateData(date).tasks;
+            tasks.filter(t => !this.isSameTask(t, excludeTask)).forEach(t => busy.push(t));
+        });
+        if (notBefore) {
+            busy.push({ startTime: '00:00', endTime: notBefore });
+        }
+
+        const slot = this.getFreeSlots(busy, durationMinutes)[0];
+        if (!slot) return null;
+        const start = TimeUtil.toMinutes(slot.startTime);
+        return { startTime: slot.startTime, endTime: TimeUtil.fromMinutes(start + durationMinutes) };
+    },
+
+    // Get completion statistics
+    getStats() {
+        const total = AppState.currentData.tasks.length;
+        const completed = AppState.currentData.tasks.filter(t => t.completed).length;
+        const rate = total > 0 ? Math.round((completed / total) * 100) : 0;
+        return { total, completed, rate };
+    }
+};
+
+// ===== Template Manager =====
+// Named day templates: a list of time blocks that can be applied to a date or
+// a date range. Blocks are written as text, one per line:
+// "09:00-10:30 | Lecture | Data Science". A "|" inside a name is written as "\|".
+const TemplateManager = {
+    LINE_PATTERN: /^(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})\s*\|\s*((?:[^|\\]|\\\||\\(?!\|))+?)\s*(?:\|\s*((?:[^|\\]|\\\||\\(?!\|))+?)\s*)?$/,
+
+    // Get all templates
+    getTemplates() {
+        return StorageManager.getTemplates();
+    },
+
+    // Get template by ID
+    getTemplate(id) {
+        return this.getTemplates().find(t => t.id === id);
+    },
+
+    // Copy the blocks of a day's tasks (times, name and category only).
+    // Tasks that end before they start (older data) are left out and listed in skipped.
+    getBlocksFromDay(date) {
+        const blocks = [];
+        const skipped = [];
+        TaskManager.getDayData(date).tasks.forEach(task => {
+            if (!this.isValidBlock(task)) {
+                skipped.push(task);
+                return;
+            }
+            blocks.push({
+                startTime: task.startTime,
+                endTime: task.endTime,
+                name: task.name,
+                category: task.category
+            });
+        });
+        return { blocks, skipped };
+    },
+
+    // Check that a block has times in order and a name and category
+    isValidBlock(block) {
+        return SchemaManager.isRecord(block) &&
+            /^\d{2}:\d{2}$/.test(block.startTime) && /^\d{2}:\d{2}$/.test(block.endTime) &&
+            block.endTime > block.startTime &&
+            typeof block.name === 'string' && block.name.trim() !== '' &&
+            typeof block.category === 'string';
+    },
+
+    // Check a stored template (e.g. from a backup file) before using it
+    isValidTemplate(template) {
+        return SchemaManager.isRecord(template) &&
+            typeof template.id === 'string' && typeof template.name === 'string' &&
+            Array.isArray(template.tasks) && template.tasks.length > 0 &&
+            template.tasks.every(block => this.isValidBlock(block));
+    },
+
+    // Format blocks as editable text
+    formatBlocks(blocks) {
+        const escape = text => text.replace(/\|/g, '\\|');
+        return blocks.map(block => `${block.startTime}-${block.endTime} | ${escape(block.name)} | ${escape(block.category)}`).join('\n');
+    },
+
+    // Parse editable text into blocks. The category may be left out to use the default.
+    parseBlocks(text) {
+        const blocks = [];
+        text.split('\n').forEach((line, i) => {
+            if (!line.trim()) return;
+            const match = this.LINE_PATTERN.exec(line.trim());
+            if (!match) {
+                throw new Error(`Line ${i + 1}: expected "HH:MM-HH:MM | Name | Category".`);
+            }
+            const unescape = text => text.replace(/\\\|/g, '|');
+            const category = match[4] ? unescape(match[4]) : CatalogManager.getDefault('taskCategories');
+            const block = { startTime: match[1], endTime: match[2], name: unescape(match[3]), category };
+            try {
+                TaskManager.assertValidTimes(block);
+            } catch (error) {
+                throw new Error(`Line ${i + 1}: ${error.message}`);
+            }
+            blocks.push(block);
+        });
+        if (blocks.length === 0) {
+            throw new Error('A template needs at least one block.');
+        }
+        return blocks.sort((a, b) => a.startTime.localeCompare(b.startTime));
+    },
+
+    // Throw if another template already uses the name
+    assertUniqueName(name, excludeId = null) {
+        if (!name) {
+            throw new Error('Please enter a template name.');
+        }
+        if (this.getTemplates().some(t => t.id !== excludeId && t.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`A template named "${name}" already exists.`);
+        }
+    },
+
+    // Create a template
+    addTemplate(name, blocks) {
+        const trimmed = name.trim();
+        this.assertUniqueName(trimmed);
+        const templates = this.getTemplates();
+        const template = { id: TaskManager.generateId(), name: trimmed, tasks: blocks };
+        templates.push(template);
+        StorageManager.saveTemplates(templates);
+        return template;
+    },
+
+    // Update a template's name and blocks
+    updateTemplate(id, name, blocks) {
+        const trimmed = name.trim();
+        this.assertUniqueName(trimmed, id);
+        const templates = this.getTemplates();
+        const template = templates.find(t => t.id === id);
+        if (template) {
+            template.name = trimmed;
+            template.tasks = blocks;
+            StorageManager.saveTemplates(templates);
+        }
+        return template;
+    },
+
+    // Delete a template
+    deleteTemplate(id) {
+        StorageManager.saveTemplates(this.getTemplates().filter(t => t.id !== id));
+    },
+
+    // Check whether a date passes a day filter ('all', 'weekdays' or 'weekends')
+    matchesDayFilter(date, dayFilter) {
+        const weekday = DateUtil.parseDate(date).getDay();
+        const weekend = weekday === 0 || weekday === 6;
+        return dayFilter === 'weekdays' ? !weekend : dayFilter === 'weekends' ? weekend : true;
+    },
+
+    // Apply a template to every date in a range that passes the day filter.
+    // Blocks already on a day (same name and times) are never added twice.
+    // mode 'skip' leaves out blocks that overlap an existing task; mode
+    // 'merge' adds them anyway and lets the timetable flag the overlap.
+    apply(id, fromDate, toDate, mode = 'skip', dayFilter = 'all') {
+        const template = this.getTemplate(id);
+        if (!template) {
+            throw new Error('Template not found.');
+        }
+        if (!fromDate || !toDate || fromDate > toDate) {
+            throw new Error('Please choose a valid date range.');
+        }
+        if (DateUtil.daysBetween(fromDate, toDate) > 366) {
+            throw new Error('Templates can be applied to at most a year at a time.');
+        }
+
+        const report = { days: 0, added: 0, duplicates: 0, skipped: 0 };
+        for (let date = fromDate; date <= toDate; date = DateUtil.addDaysToString(date, 1)) {
+            if (!this.matchesDayFilter(date, dayFilter)) continue;
+            const data = TaskManager.getDayData(date);
+            let added = 0;
+
+            template.tasks.forEach(block => {
+                const duplicate = data.tasks.some(task =>
+                    task.name === block.name && task.startTime === block.startTime && task.endTime === block.endTime);
+                const overlap = data.tasks.some(task =>
+                    TimeUtil.overlaps(block.startTime, block.endTime, task.startTime, task.endTime));
+
+                if (duplicate) {
+                    report.duplicates++;
+                } else if (overlap && mode === 'skip') {
+                    report.skipped++;
+                } else {
+                    data.tasks.push({
+                        id: TaskManager.generateId(),
+                        startTime: block.startTime,
+                        endTime: block.endTime,
+                        name: block.name,
+                        category: block.category,
+                        completed: false,
+                        templateId: template.id
+                    });
+                    added++;
+                }
+            });
+
+            if (added > 0) {
+                TaskManager.saveDayData(date, data);
+                report.added += added;
+            }
+            report.days++;
+        }
+        return report;
+    }
+};
+
+// ===== Track Manager =====
+// Study tracks (Data Science, English, or any user-defined subject). Each
+// track describes its entry fields; forms, lists, summaries and stats are
+// generated from those fields. Entries live in day.tracks[trackId].
+// Field types: text, number, textarea, select (catalog-backed or own
+// options) and status. Well-known keys: `duration` (minutes), `completed`
+// (status) and `notes` (review cards).
+const TrackManager = {
+    // Built-in tracks, matching the DS and English sections the app shipped with
+    getDefaultTracks() {
+        return [
+            {
+                id: 'ds',
+                name: 'Data Science',
+                icon: '📊',
+                entryLabel: 'Study Session',
+                titleField: 'topic',
+                categoryId: 'data-science',
+                builtIn: true,
+                archived: false,
+                fields: [
+                    { key: 'topic', label: 'Topic / Concept', type: 'text', required: true, placeholder: 'e.g., Linear Regression, Pandas basics...' },
+                    { key: 'duration', label: 'Study Duration (minutes)', type: 'number', placeholder: '30' },
+                    { key: 'difficulty', label: 'Difficulty Level', type: 'select', catalog: 'dsDifficulties', default: 'Intermediate' },
+                    { key: 'resource', label: 'Resource Type', type: 'select', catalog: 'dsResources', default: 'Video' },
+                    { key: 'notes', label: 'Notes (Optional)', type: 'textarea', icon: '💡', placeholder: 'Key takeaways, formulas, or important points...' }
+                ]
+            },
+            {
+                id: 'english',
+                name: 'English',
+                icon: '🗣️',
+                entryLabel: 'Activity',
+                titleField: 'type',
+                categoryId: 'english',
+                builtIn: true,
+                archived: false,
+                fields: [
+                    { key: 'type', label: 'Activity Type', type: 'select', catalog: 'englishTypes', default: 'Podcast' },
+                    { key: 'duration', label: 'Duration (minutes)', type: 'number', placeholder: '30' },
+                    { key: 'completed', label: 'Status', type: 'status' },
+                    { key: 'content', label: 'Content / Topic', type: 'text', icon: '📝', placeholder: 'e.g., TED Talk about AI, Essay on climate change...' },
+                    { key: 'notes', label: 'Notes / Key Learnings', type: 'textarea', icon: '💭', placeholder: 'New words, phrases, or reflections...' }
+                ]
+            }
+        ];
+    },
+
+    // Get track definitions in display order
+    getTracks(includeArchived = false) {
+        const tracks = StorageManager.getTracks() || this.getDefaultTracks();
+        return tracks.filter(track => includeArchived || !track.archived);
+    },
+
+    // Get a track by id (archived tracks included)
+    getTrack(id) {
+        return this.getTracks(true).find(track => track.id === id) || null;
+    },
+
+    // Get a field definition by key
+    getField(track, key) {
+        return track.fields.find(field => field.key === key) || null;
+    },
+
+    // Field used to filter goals: the first select field
+    getFilterField(track) {
+        return track.fields.find(field => field.type === 'select') || null;
+    },
+
+    // Text field that names an entry when it's logged from elsewhere (focus timer)
+    getLabelField(track) {
+        const title = this.getField(track, track.titleField);
+        return title && title.type === 'text' ? title : track.fields.find(field => field.type === 'text') || null;
+    },
+
+    // Options for a select field (catalog names or the field's own list)
+    getFieldOptions(field) {
+        return field.catalog ? CatalogManager.getNames(field.catalog, false) : field.options || [];
+    },
+
+    // Default value for a select field
+    getFieldDefault(field) {
+        if (field.catalog) {
+            return CatalogManager.getDefault(field.catalog, field.default);
+        }
+        const options = field.options || [];
+        return options.includes(field.default) ? field.default : options[0] || '';
+    },
+
+    // Track linked to a task category, by built-in category id or by name
+    getTrackForCategory(category) {
+        const item = CatalogManager.findByName('taskCategories', category);
+        return this.getTracks().find(track =>
+            (item && track.categoryId === item.id) || track.name.toLowerCase() === String(category).toLowerCase()
+        ) || null;
+    },
+
+    // Entries that count as done: all of them, or only completed ones for tracks with a status
+    getDoneEntries(track, entries = []) {
+        return this.getField(track, 'completed') ? entries.filter(entry => entry.completed) : entries;
+    },
+
+    // Short title for an entry, e.g. "Podcast: TED Talk about AI"
+    getEntryTitle(track, entry) {
+        const title = entry[track.titleField] || track.name;
+        const extra = track.fields.find(field => field.type === 'text' && field.key !== track.titleField);
+        return extra && entry[extra.key] ? `${title}: ${entry[extra.key]}` : title;
+    },
+
+    // Build an entry's field values from form data
+    normalizeEntry(track, entryData) {
+        const values = {};
+        track.fields.forEach(field => {
+            const raw = entryData[field.key];
+            switch (field.type) {
+                case 'status':
+                    values[field.key] = raw === true || raw === 'true';
+                    break;
+                case 'select':
+                    values[field.key] = raw || this.getFieldDefault(field);
+                    break;
+                case 'number':
+                    values[field.key] = raw ? String(raw) : null;
+                    break;
+                default:
+                    values[field.key] = raw && String(raw).trim() ? String(raw).trim() : null;
+            }
+        });
+        return values;
+    },
+
+    // First required field left empty, or null
+    getMissingField(track, entryData) {
+        return track.fields.find(field => field.required && !(entryData[field.key] && String(entryData[field.key]).trim())) || null;
+    },
+
+    // Add an entry to the current day. Returns null if a required field is empty.
+    addEntry(trackId, entryData) {
+        const track = this.getTrack(trackId);
+        if (!track || this.getMissingField(track, entryData)) return null;
+
+        const entry = Object.assign({ id: TaskManager.generateId() }, this.normalizeEntry(track, entryData), {
+            date: AppState.getCurrentDateString()
+        });
+        if (!AppState.currentData.tracks[trackId]) {
+            AppState.currentData.tracks[trackId] = [];
+        }
+        AppState.currentData.tracks[trackId].push(entry);
+        AppState.save();
+        return entry;
+    },
+
+    // Update an entry. Values of fields the track no longer has are kept.
+    updateEntry(trackId, id, entryData) {
+        const track = this.getTrack(trackId);
+        const entry = this.getEntry(trackId, id);
+        if (!track || !entry || this.getMissingField(track, entryData)) return null;
+
+        Object.assign(entry, this.normalizeEntry(track, entryData));
+        AppState.save();
+        return entry;
+    },
+
+    // Toggle an entry between planned and completed
+    toggleEntry(trackId, id) {
+        const entry = this.getEntry(trackId, id);
+        if (entry) {
+            entry.completed = !entry.completed;
+            AppState.save();
+        }
+    },
+
+    // Get an entry of the current day by ID
+    getEntry(trackId, id) {
+        return this.getEntries(trackId).find(entry => entry.id === id);
+    },
+
+    // Delete an entry from the current day
+    deleteEntry(trackId, id) {
+        AppState.currentData.tracks[trackId] = this.getEntries(trackId).filter(entry => entry.id !== id);
+        AppState.save();
+    },
+
+    // Get a track's entries for the current date
+    getEntries(trackId) {
+        return AppState.currentData.tracks[trackId] || [];
+    },
+
+    // Collect a track's entries in a date range, each tagged with its date
+    getEntriesInRange(trackId, fromDate, toDate) {
+        const entries = [];
+        StorageManager.getAllDates().filter(date => date >= fromDate && date <= toDate).forEach(date => {
+            (StorageManager.getDateData(date).tracks[trackId] || []).forEach(entry => {
+                entries.push(Object.assign({}, entry, { date }));
+            });
+        });
+        return entries;
+    },
+
+    // Get summary statistics for the current date
+    getSummary(trackId) {
+        const track = this.getTrack(trackId);
+        const entries = this.getEntries(trackId);
+        return {
+            total: entries.length,
+            completed: this.getDoneEntries(track, entries).length,
+            minutes: entries.reduce((sum, entry) => sum + (parseInt(entry.duration) || 0), 0)
+        };
+    },
+
+    // Done entries and minutes for each day of the week containing date
+    getWeekStats(trackId, date) {
+        const track = this.getTrack(trackId);
+        const start = DateUtil.getStartOfWeek(date);
+        const end = DateUtil.formatDate(DateUtil.addDays(start, 6));
+        const entries = this.getDoneEntries(track, this.getEntriesInRange(trackId, DateUtil.formatDate(start), end));
+
+        return Array.from({ length: 7 }, (_, i) => {
+            const day = DateUtil.formatDate(DateUtil.addDays(start, i));
+            const dayEntries = entries.filter(entry => entry.date === day);
+            return {
+                date: day,
+                count: dayEntries.length,
+                minutes: dayEntries.reduce((sum, entry) => sum + (parseInt(entry.duration) || 0), 0)
+            };
+        });
+    },
+
+    // Build field definitions for a user-defined track from a simple spec:
+    // { titleLabel, duration, status, difficulty, notes, selects: [{ label, options }] }
+    // When rebuilding, a custom select keeps the key of the previous field
+    // with the same label, or of the one in its position that was renamed,
+    // so entries already logged keep their values.
+    buildFields(spec, previousFields = []) {
+        const fields = [{ key: 'title', label: spec.titleLabel || 'Topic', type: 'text', required: true }];
+        if (spec.duration) {
+            fields.push({ key: 'duration', label: 'Duration (minutes)', type: 'number', placeholder: '30' });
+        }
+        if (spec.status) {
+            fields.push({ key: 'completed', label: 'Status', type: 'status' });
+        }
+        if (spec.difficulty) {
+            fields.push({ key: 'difficulty', label: 'Difficulty Level', type: 'select', catalog: 'dsDifficulties', default: 'Intermediate' });
+        }
+        const previousSelects = previousFields.filter(field => field.options);
+        const labels = (spec.selects || []).map(select => select.label.toLowerCase());
+        (spec.selects || []).forEach((select, index) => {
+            const sameLabel = previousSelects.find(field => field.label.toLowerCase() === select.label.toLowerCase());
+            const renamed = previousSelects[index] && !labels.includes(previousSelects[index].label.toLowerCase()) ? previousSelects[index] : null;
+            const previous = sameLabel || renamed;
+            const key = previous && !fields.some(field => field.key === previous.key)
+                ? previous.key
+                : `select_${select.label.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`;
+            if (fields.some(field => field.key === key)) return;
+            fields.push({ key, label: select.label, type: 'select', options: select.options, default: select.options[0] });
+        });
+        if (spec.notes) {
+            fields.push({ key: 'notes', label: 'Notes', type: 'textarea', icon: '💡', placeholder: 'Key takeaways or reflections...' });
+        }
+        return fields;
+    },
+
+    // Read a user-defined track back into the spec it was built from
+    getSpec(track) {
+        return {
+            name: track.name,
+            icon: track.icon,
+            entryLabel: track.entryLabel,
+            titleLabel: this.getField(track, 'title') ? this.getField(track, 'title').label : 'Topic',
+            duration: !!this.getField(track, 'duration'),
+            status: !!this.getField(track, 'completed'),
+            difficulty: !!this.getField(track, 'difficulty'),
+            notes: !!this.getField(track, 'notes'),
+            selects: track.fields.filter(field => field.options).map(field => ({ label: field.label, options: field.options }))
+        };
+    },
+
+    // Create a user-defined track
+    addTrack(spec) {
+        const name = spec.name.trim();
+        if (!name) {
+            throw new Error('Track name cannot be empty.');
+        }
+        const tracks = this.getTracks(true);
+        const track = {
+            id: TaskManager.generateId(),
+            name,
+            icon: spec.icon.trim() || '📘',
+            entryLabel: spec.entryLabel.trim() || 'Session',
+            titleField: 'title',
+            builtIn: false,
+            archived: false,
+            fields: this.buildFields(spec)
+        };
+        tracks.push(track);
+        StorageManager.saveTracks(tracks);
+        return track;
+    },
+
+    // Update a track. Built-in tracks keep their fields; only the name,
+    // icon, entry label and archived flag can change.
+    updateTrack(id, changes) {
+        const tracks = this.getTracks(true);
+        const track = tracks.find(t => t.id === id);
+        if (!track) return;
+
+        if (changes.name !== undefined) {
+            if (!changes.name.trim()) {
+                throw new Error('Track name cannot be empty.');
+            }
+            track.name = changes.name.trim();
+        }
+        if (changes.icon !== undefined) track.icon = changes.icon.trim() || track.icon;
+        if (changes.entryLabel !== undefined) track.entryLabel = changes.entryLabel.trim() || track.entryLabel;
+        if (changes.archived !== undefined) track.archived = changes.archived;
+        if (!track.builtIn && changes.titleLabel !== undefined) {
+            track.fields = this.buildFields(changes, track.fields);
+        }
+        StorageManager.saveTracks(tracks);
+    },
+
+    // Move a track up (-1) or down (+1)
+    moveTrack(id, direction) {
+        const tracks = this.getTracks(true);
+        const index = tracks.findIndex(t => t.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= tracks.length) return;
+        [tracks[index], tracks[target]] = [tracks[target], tracks[index]];
+        StorageManager.saveTracks(tracks);
+    },
+
+    // Delete a user-defined track that has no entries yet
+    deleteTrack(id) {
+        const track = this.getTrack(id);
+        if (!track) return;
+        if (track.builtIn) {
+            throw new Error('Built-in tracks can be archived but not deleted.');
+        }
+        const hasEntries = StorageManager.getAllDates().some(date => (StorageManager.getDateData(date).tracks[id] || []).length > 0);
+        if (hasEntries) {
+            throw new Error(`"${track.name}" has logged entries. Archive it instead to keep its history.`);
+        }
+        StorageManager.saveTracks(this.getTracks(true).filter(t => t.id !== id));
+    }
+};
+
+// ===== iCalendar Manager =====
+// RFC 5545 export and import of timetable blocks. Times are written as
+// floating local times, which is how the timetable itself stores them.
+const IcsManager = {
+    PRODID: '-//My Study Schedule//Timetable//EN',
+    WEEKDAY_CODES: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'],
+
+    // Escape a TEXT value
+    escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    // Undo TEXT escaping
+    unescapeText(value) {
+        return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    },
+
+    // Fold a content line to 75 octets as required by RFC 5545
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let limit = 75;
+        Array.from(line).forEach(char => {
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = '';
+                limit = 74; // continuation lines start with a space
+            }
+            current += char;
+        });
+        parts.push(current);
+        return parts.join('\r\n ');
+    },
+
+    // Format a date and "HH:MM" as a floating DATE-TIME (YYYYMMDDTHHMMSS)
+    formatDateTime(date, time) {
+        return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+    },
+
+    // Format a JS Date as a UTC DATE-TIME
+    formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    // Build the RRULE value for a recurrence rule
+    buildRRule(rule) {
+        const parts = [];
+        if (rule.frequency === 'weekdays') {
+            parts.push('FREQ=WEEKLY', 'BYDAY=MO,TU,WE,TH,FR');
+        } else if (rule.frequency === 'weekly') {
+            parts.push('FREQ=WEEKLY', `BYDAY=${rule.weekdays.map(d => this.WEEKDAY_CODES[d]).join(',')}`);
+        } else if (rule.frequency === 'interval') {
+            parts.push('FREQ=DAILY', `INTERVAL=${rule.interval}`);
+        } else {
+            parts.push('FREQ=DAILY');
+        }
+        if (rule.until) {
+            parts.push(`UNTIL=${this.formatDateTime(rule.until, '23:59')}`);
+        } else if (rule.count) {
+            parts.push(`COUNT=${rule.count}`);
+        }
+        return parts.join(';');
+    },
+
+    // Build the lines of one component for a task or rule
+    buildComponent(component, fields) {
+        const lines = [
+            `BEGIN:${component}`,
+            `UID:${fields.uid}`,
+            `DTSTAMP:${this.formatUtc(new Date())}`,
+            `DTSTART:${this.formatDateTime(fields.date, fields.startTime)}`,
+            `${component === 'VTODO' ? 'DUE' : 'DTEND'}:${this.formatDateTime(fields.date, fields.endTime)}`,
+            `SUMMARY:${this.escapeText(fields.name)}`,
+            `CATEGORIES:${this.escapeText(fields.category)}`
+        ];
+        if (fields.recurrenceId) {
+            lines.push(`RECURRENCE-ID:${this.formatDateTime(fields.recurrenceId, fields.originalStartTime)}`);
+        }
+        if (fields.rrule) {
+            lines.push(`RRULE:${fields.rrule}`);
+        }
+        (fields.exdates || []).forEach(date => {
+            lines.push(`EXDATE:${this.formatDateTime(date, fields.startTime)}`);
+        });
+        if (component === 'VTODO') {
+            lines.push(`STATUS:${fields.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+            if (fields.completed) lines.push('PERCENT-COMPLETE:100');
+        } else {
+            // VEVENT has no "completed" status; keep the flag as an extension property
+            lines.push('STATUS:CONFIRMED');
+            if (fields.completed !== undefined) lines.push(`X-STUDY-COMPLETED:${fields.completed ? 'TRUE' : 'FALSE'}`);
+        }
+        lines.push(`END:${component}`);
+        return lines;
+    },
+
+    // Build an .ics calendar for one-off tasks in a range plus overlapping rules.
+    // component is 'VEVENT' (calendar apps) or 'VTODO' (task apps).
+    exportRange(fromDate, toDate, component = 'VEVENT') {
+        const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${this.PRODID}`, 'CALSCALE:GREGORIAN'];
+        let count = 0;
+
+        StorageManager.getAllDates().filter(date => date >= fromDate && date <= toDate).forEach(date => {
+            StorageManager.getDateData(date).tasks.filter(task => !task.ruleId).forEach(task => {
+                lines.push(...this.buildComponent(component, Object.assign({ uid: `${task.id}@my-study-schedule`, date }, task)));
+                count++;
+            });
+        });
+
+        RecurrenceManager.getRules()
+            .filter(rule => rule.startDate <= toDate && (!rule.until || rule.until >= fromDate))
+            .forEach(rule => {
+                const uid = `${rule.id}@my-study-schedule`;
+                lines.push(...this.buildComponent(component, {
+                    uid,
+                    date: rule.startDate,
+                    startTime: rule.startTime,
+                    endTime: rule.endTime,
+                    name: rule.name,
+                    category: rule.category,
+                    rrule: this.buildRRule(rule),
+                    exdates: rule.exceptions
+                }));
+                Object.keys(rule.overrides).forEach(date => {
+                    const occurrence = RecurrenceManager.buildOccurrence(rule, date);
+                    lines.push(...this.buildComponent(component, Object.assign({}, occurrence, {
+                        uid,
+                        date,
+                        recurrenceId: date,
+                        originalStartTime: rule.startTime
+                    })));
+                });
+                count++;
+            });
+
+        lines.push('END:VCALENDAR');
+        return { text: lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n', count };
+    },
+
+    // Download a date range as an .ics file
+    exportToFile(fromDate, toDate, component) {
+        const result = this.exportRange(fromDate, toDate, component);
+        FileUtil.download(`study-schedule-${fromDate}-to-${toDate}.ics`, result.text, 'text/calendar');
+        return result;
+    },
+
+    // Parse .ics text into a list of components with their properties
+    parse(text) {
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const components = [];
+        let current = null;
+
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            const match = /^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/.exec(line);
+            if (!match) return;
+            const name = match[1].toUpperCase();
+            const params = {};
+            match[2].split(';').filter(Boolean).forEach(param => {
+                const [key, value] = param.split('=');
+                params[key.toUpperCase()] = (value || '').replace(/^"|"$/g, '');
+            });
+            const value = match[3];
+
+            if (name === 'BEGIN' && (value === 'VEVENT' || value === 'VTODO')) {
+                current = { type: value, props: {} };
+            } else if (name === 'END' && current && value === current.type) {
+                components.push(current);
+                current = null;
+            } else if (current) {
+                if (!current.props[name]) current.props[name] = [];
+                current.props[name].push({ value, params });
+            }
+        });
+        return components;
+    },
+
+    // Parse a DATE or DATE-TIME value into { date, time } in local time.
+    // UTC values are converted; TZID values are taken as local wall-clock time.
+    parseDateTime(prop) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(prop.value.trim());
+        if (!match) return null;
+        const [, year, month, day, hour, minute, , utc] = match;
+        if (hour === undefined) {
+            return { date: `${year}-${month}-${day}`, time: null };
+        }
+        if (utc) {
+            const local = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute));
+            return { date: DateUtil.formatDate(local), time: TimeUtil.fromMinutes(local.getHours() * 60 + local.getMinutes()) };
+        }
+        return { date: `${year}-${month}-${day}`, time: `${hour}:${minute}` };
+    },
+
+    // Parse an ISO 8601 DURATION (e.g. PT1H30M) into minutes
+    parseDuration(value) {
+        const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(value.trim());
+        if (!match) return null;
+        const [, weeks, days, hours, minutes] = match.map(n => parseInt(n) || 0);
+        return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+    },
+
+    // Parse "pattern => Category" mapping lines
+    parseCategoryRules(text) {
+        return text.split('\n')
+            .map(line => line.split('=>').map(part => part.trim()))
+            .filter(parts => parts.length === 2 && parts[0] && parts[1])
+            .map(([pattern, category]) => ({ pattern: pattern.toLowerCase(), category }));
+    },
+
+    // Pick an app category for an imported event: mapping rules first (matched
+    // against CATEGORIES and SUMMARY), then an exact category name, then the default
+    mapCategory(icsCategories, summary, rules, knownCategories, defaultCategory) {
+        const haystack = `${icsCategories.join(' ')} ${summary}`.toLowerCase();
+        const rule = rules.find(r => haystack.includes(r.pattern));
+        if (rule) return rule.category;
+        const exact = knownCategories.find(c => icsCategories.some(ic => ic.toLowerCase() === c.toLowerCase()));
+        return exact || defaultCategory;
+    },
+
+    // Convert an RRULE value to a recurrence pattern, or null if unsupported.
+    // A weekly rule without BYDAY repeats on the weekday of DTSTART (startWeekday).
+    parseRRule(value, startWeekday) {
+        const parts = {};
+        value.split(';').forEach(part => {
+            const [key, val] = part.split('=');
+            parts[key.toUpperCase()] = val;
+        });
+
+        const interval = parseInt(parts.INTERVAL) || 1;
+        const recurrence = {};
+        if (parts.FREQ === 'DAILY') {
+            Object.assign(recurrence, interval > 1 ? { frequency: 'interval', interval } : { frequency: 'daily' });
+        } else if (parts.FREQ === 'WEEKLY') {
+            const byDay = (parts.BYDAY || '').split(',').filter(Boolean).map(code => this.WEEKDAY_CODES.indexOf(code.slice(-2)));
+            const days = byDay.length > 0 ? byDay : [startWeekday];
+            if (days.includes(-1) || days.includes(undefined)) return null;
+            if (interval > 1) {
+                // Every N weeks on a single weekday maps to every 7N days
+                if (days.length > 1) return null;
+                Object.assign(recurrence, { frequency: 'interval', interval: interval * 7, weekday: days[0] });
+            } else if (days.length === 5 && [1, 2, 3, 4, 5].every(d => days.includes(d))) {
+                recurrence.frequency = 'weekdays';
+            } else {
+                Object.assign(recurrence, { frequency: 'weekly', weekdays: days });
+            }
+        } else {
+            return null;
+        }
+
+        if (parts.UNTIL) {
+            const until = this.parseDateTime({ value: parts.UNTIL });
+            recurrence.until = until ? until.date : null;
+        }
+        if (parts.COUNT) {
+            recurrence.count = parseInt(parts.COUNT);
+        }
+        return recurrence;
+    },
+
+    // Apply changed occurrences to the series imported with them. A cancelled
+    // one becomes an exception; one moved to another day becomes an exception
+    // plus a one-off task on the new day; otherwise the occurrence gets an
+    // override. Occurrences of a series that was already there are counted
+    // as duplicates.
+    applyChangedOccurrences(changedOccurrences, ruleIdsByUid, report) {
+        if (changedOccurrences.length === 0) return;
+        const allRules = RecurrenceManager.getRules();
+        changedOccurrences.forEach(change => {
+            const label = `changed occurrence of "${change.summary}" on ${change.originalDate}`;
+            if (ruleIdsByUid[change.uid] === null) {
+                report.duplicates++;
+                return;
+            }
+            const rule = allRules.find(r => r.id === ruleIdsByUid[change.uid]);
+            if (!rule || !RecurrenceManager.occursOn(rule, change.originalDate)) {
+                report.skipped++;
+                report.messages.push(`Skipped ${label}: its repeating event isn't in the file or doesn't fall on that day`);
+                return;
+            }
+            if (change.cancelled || change.date !== change.originalDate) {
+                rule.exceptions.push(change.originalDate);
+                delete rule.overrides[change.originalDate];
+            }
+            if (!change.cancelled && change.date !== change.originalDate) {
+                TaskManager.addTaskToDate(change.date, change.taskData, { completed: change.completed, icsUid: `${change.uid}/${change.originalDate}` });
+            } else if (!change.cancelled) {
+                rule.overrides[change.originalDate] = Object.assign({}, change.taskData);
+            }
+            report.occurrences++;
+        });
+        StorageManager.saveRecurringRules(allRules);
+        RecurrenceManager.afterRulesChanged();
+    },
+
+    // Import .ics text into the timetable. Re-importing the same file is a no-op.
+    // Changed occurrences (RECURRENCE-ID) are applied to their series once
+    // every series in the file has been imported.
+    importText(text, options) {
+        const report = { tasks: 0, rules: 0, occurrences: 0, skipped: 0, duplicates: 0, messages: [] };
+        const rules = this.parseCategoryRules(options.categoryRules || '');
+        // Our own exports use "<id>@my-study-schedule" as UID, so match ids too
+        const existingRuleUids = RecurrenceManager.getRules().flatMap(rule => [rule.icsUid, `${rule.id}@my-study-schedule`]).filter(Boolean);
+        const first = (component, name) => (component.props[name] || [])[0];
+        // Rule id by UID for the series imported (or already present), and
+        // the changed occurrences waiting to be applied to them
+        const ruleIdsByUid = {};
+        RecurrenceManager.getRules().forEach(rule => {
+            ruleIdsByUid[`${rule.id}@my-study-schedule`] = rule.id;
+            if (rule.icsUid) ruleIdsByUid[rule.icsUid] = rule.id;
+        });
+        const changedOccurrences = [];
+
+        this.parse(text).forEach(component => {
+            const summary = first(component, 'SUMMARY') ? this.unescapeText(first(component, 'SUMMARY').value) : '(No title)';
+            const uid = first(component, 'UID') ? first(component, 'UID').value : null;
+            const startProp = first(component, 'DTSTART');
+            const start = startProp ? this.parseDateTime(startProp) : null;
+
+            if (!start || !start.time) {
+                report.skipped++;
+                report.messages.push(`Skipped "${summary}": all-day or missing start time`);
+                return;
+            }
+            const recurrenceIdProp = first(component, 'RECURRENCE-ID');
+
+            // End time from DTEND/DUE or DURATION, clamped to the same day
+            let endTime = null;
+            const endProp = first(component, 'DTEND') || first(component, 'DUE');
+            const durationProp = first(component, 'DURATION');
+            if (endProp) {
+                const end = this.parseDateTime(endProp);
+                endTime = end && end.date === start.date ? end.time : end ? '23:59' : null;
+            } else if (durationProp) {
+                const minutes = this.parseDuration(durationProp.value);
+                endTime = minutes ? TimeUtil.fromMinutes(Math.min(TimeUtil.toMinutes(start.time) + minutes, 23 * 60 + 59)) : null;
+            }
+            if (!endTime || endTime <= start.time) {
+                endTime = TimeUtil.fromMinutes(Math.min(TimeUtil.toMinutes(start.time) + 60, 23 * 60 + 59));
+            }
+            if (endTime <= start.time) {
+                report.skipped++;
+                report.messages.push(`Skipped "${summary}" on ${start.date}: starts too late to end on the same day`);
+                return;
+            }
+
+            const icsCategories = (component.props.CATEGORIES || [])
+                .flatMap(prop => prop.value.split(/(?<!\\),/))
+                .map(value => this.unescapeText(value).trim());
+            const status = first(component, 'STATUS') ? first(component, 'STATUS').value.toUpperCase() : '';
+            const flag = first(component, 'X-STUDY-COMPLETED');
+            const completed = status === 'COMPLETED' || (!!flag && flag.value.toUpperCase() === 'TRUE');
+
+            if (status === 'CANCELLED' && !recurrenceIdProp) {
+                report.skipped++;
+                return;
+            }
+
+            const taskData = {
+                startTime: start.time,
+                endTime,
+                name: summary,
+                category: this.mapCategory(icsCategories, summary, rules, options.categories, options.defaultCategory)
+            };
+
+            if (recurrenceIdProp) {
+                const original = this.parseDateTime(recurrenceIdProp);
+                if (!uid || !original) {
+                    report.skipped++;
+                    report.messages.push(`Skipped changed occurrence of "${summary}" on ${start.date}: no UID or RECURRENCE-ID date`);
+                    return;
+                }
+                changedOccurrences.push({ uid, originalDate: original.date, date: start.date, summary, taskData, cancelled: status === 'CANCELLED', completed });
+                return;
+            }
+
+            const rruleProp = first(component, 'RRULE');
+            if (rruleProp) {
+                const recurrence = this.parseRRule(rruleProp.value, DateUtil.parseDate(start.date).getDay());
+                if (!recurrence) {
+                    report.skipped++;
+                    report.messages.push(`Skipped "${summary}": unsupported repeat rule ${rruleProp.value}`);
+                    return;
+                }
+                if (uid && existingRuleUids.includes(uid)) {
+                    report.duplicates++;
+                    ruleIdsByUid[uid] = null;
+                    return;
+                }
+                // A biweekly rule must start on its weekday for the day interval to line up
+                let startDate = start.date;
+                if (recurrence.weekday !== undefined) {
+                    while (DateUtil.parseDate(startDate).getDay() !== recurrence.weekday) {
+                        startDate = DateUtil.addDaysToString(startDate, 1);
+                    }
+                }
+                let rule;
+                try {
+                    rule = RecurrenceManager.addRule(taskData, recurrence, startDate, { icsUid: uid });
+                } catch (error) {
+                    report.skipped++;
+                    report.messages.push(`Skipped "${summary}": ${error.message}`);
+                    return;
+                }
+                if (uid) ruleIdsByUid[uid] = rule.id;
+                const exdates = (component.props.EXDATE || [])
+                    .flatMap(prop => prop.value.split(',').map(value => this.parseDateTime({ value })))
+                    .filter(Boolean)
+                    .map(exdate => exdate.date);
+                if (exdates.length > 0) {
+                    const allRules = RecurrenceManager.getRules();
+                    allRules.find(r => r.id === rule.id).exceptions = exdates;
+                    StorageManager.saveRecurringRules(allRules);
+                    RecurrenceManager.afterRulesChanged();
+                }
+                report.rules++;
+                return;
+            }
+
+            const dayTasks = StorageManager.getDateData(start.date).tasks;
+            if (uid && dayTasks.some(task => task.icsUid === uid || `${task.id}@my-study-schedule` === uid)) {
+                report.duplicates++;
+                return;
+            }
+            TaskManager.addTaskToDate(start.date, taskData, { completed, icsUid: uid });
+            report.tasks++;
+        });
+
+        this.applyChangedOccurrences(changedOccurrences, ruleIdsByUid, report);
+        AppState.currentData = StorageManager.getDateData(AppState.getCurrentDateString());
+        return report;
+    }
+};
+
+// ===== CSV Manager =====
+// Spreadsheet export and import (RFC 4180). One dataset per file: `tasks`,
+// or a study track id (e.g. `ds`, `english`) whose columns are the track's
+// field keys. Every file starts with a `date` column and ends with `id`.
+const CsvManager = {
+    TASK_COLUMNS: ['date', 'start', 'end', 'name', 'category', 'completed', 'id'],
+    // Spreadsheets evaluate cells starting with these as formulas. Leading
+    // apostrophes are included so text that already starts with ' before one
+    // gets its own extra ' and survives the round trip.
+    FORMULA_PATTERN: /^'*[=+\-@\t\r]/,
+    // Delay between files when exporting every dataset; browsers block
+    // several downloads started at once
+    DOWNLOAD_DELAY_MS: 600,
+
+    // Get the exportable datasets: tasks plus every study track
+    getDatasets() {
+        const datasets = { tasks: 'Tasks' };
+        TrackManager.getTracks(true).forEach(track => {
+            datasets[track.id] = `${track.icon} ${track.name}`;
+        });
+        return datasets;
+    },
+
+    // Get the columns of a dataset
+    getColumns(dataset) {
+        if (dataset === 'tasks') return this.TASK_COLUMNS;
+        const track = TrackManager.getTrack(dataset);
+        return ['date'].concat(track.fields.map(field => field.key), ['id']);
+    },
+
+    // Quote a value when it holds a comma, quote, line break or edge spaces.
+    // Text that a spreadsheet would run as a formula gets a leading ' so it
+    // shows as text (importText strips it again).
+    escapeValue(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && this.FORMULA_PATTERN.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    // Remove the one ' that escapeValue put in front of formula-like text.
+    // Other leading apostrophes are the user's and are kept.
+    unescapeFormula(value) {
+        return value.startsWith("'") && this.FORMULA_PATTERN.test(value.slice(1)) ? value.slice(1) : value;
+    },
+
+    // Build CSV text from a header and rows of values
+    format(columns, rows) {
+        return [columns].concat(rows)
+            .map(row => row.map(value => this.escapeValue(value)).join(','))
+            .join('\r\n') + '\r\n';
+    },
+
+    // Parse CSV text into rows of strings. Quoted values may hold commas,
+    // doubled quotes and line breaks.
+    parse(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        if (quoted) {
+            throw new Error('The file ends inside a quoted value.');
+        }
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    },
+
+    // Build the rows of one dataset for a date range
+    buildRows(dataset, fromDate, toDate) {
+        const rows = [];
+        StorageManager.getAllDates().filter(date => date >= fromDate && date <= toDate).forEach(date => {
+            const data = StorageManager.getDateData(date);
+            if (dataset === 'tasks') {
+                data.tasks.forEach(task => {
+                    rows.push([date, task.startTime, task.endTime, task.name, task.category, task.completed ? 'true' : 'false', task.id]);
+                });
+                return;
+            }
+            const track = TrackManager.getTrack(dataset);
+            (data.tracks[dataset] || []).forEach(entry => {
+                rows.push([date].concat(track.fields.map(field => {
+                    const value = entry[field.key];
+                    return field.type === 'status' ? (value ? 'true' : 'false') : value;
+                }), [entry.id]));
+            });
+        });
+        return rows;
+    },
+
+    // Export one dataset as CSV text
+    exportDataset(dataset, fromDate, toDate) {
+        return this.format(this.getColumns(dataset), this.buildRows(dataset, fromDate, toDate));
+    },
+
+    // Download one file per dataset ('all' downloads every dataset, one
+    // after another). Files start with a BOM so spreadsheet apps read them
+    // as UTF-8.
+    exportToFiles(dataset, fromDate, toDate) {
+        const datasets = dataset === 'all' ? Object.keys(this.getDatasets()) : [dataset];
+        datasets.forEach((id, index) => {
+            const content = '\uFEFF' + this.exportDataset(id, fromDate, toDate);
+            setTimeout(() => {
+                FileUtil.download(`study-schedule-${id}-${fromDate}-to-${toDate}.csv`, content, 'text/csv;charset=utf-8');
+            }, index * this.DOWNLOAD_DELAY_MS);
+        });
+        return datasets.length;
+    },
+
+    // Work out which dataset a header row belongs to
+    detectDataset(header) {
+        const has = key => header.includes(key);
+        if (has('start') && has('end') && has('name')) return 'tasks';
+        const track = TrackManager.getTracks(true).find(t =>
+            t.fields.filter(field => field.required).every(field => has(field.key)) &&
+            t.fields.every(field => has(field.key) || !field.required) &&
+            header.filter(key => key !== 'date' && key !== 'id').every(key => TrackManager.getField(t, key)));
+        return track ? track.id : null;
+    },
+
+    // Read a yes/no cell
+    parseBoolean(value) {
+        return /^(true|yes|y|1|x|done|completed|✅)$/i.test(value.trim());
+    },
+
+    // Turn one CSV record into a task, or throw with the problem
+    buildTask(record) {
+        const task = {
+            startTime: record.start.trim(),
+            endTime: record.end.trim(),
+            name: record.name.trim(),
+            category: (record.category || '').trim() || CatalogManager.getDefault('taskCategories', 'Other'),
+            completed: this.parseBoolean(record.completed || '')
+        };
+        if (!task.name) {
+            throw new Error('name is empty');
+        }
+        if (!SchemaManager.TIME_PATTERN.test(task.startTime) || !SchemaManager.TIME_PATTERN.test(task.endTime)) {
+            throw new Error('start and end must be HH:MM');
+        }
+        TaskManager.assertValidTimes(task);
+        return task;
+    },
+
+    // Turn one CSV record into a track entry, or throw with the problem
+    buildEntry(track, record) {
+        const values = {};
+        track.fields.forEach(field => {
+            const raw = (record[field.key] || '').trim();
+            if (field.type === 'status') {
+                values[field.key] = this.parseBoolean(raw);
+            } else if (field.type === 'number' && raw && !/^\d+(\.\d+)?$/.test(raw)) {
+                throw new Error(`${field.key} must be a number`);
+            } else {
+                values[field.key] = raw;
+            }
+        });
+        const missing = TrackManager.getMissingField(track, values);
+        if (missing) {
+            throw new Error(`${missing.key} is empty`);
+        }
+        return TrackManager.normalizeEntry(track, values);
+    },
+
+    // Import CSV text into a dataset ('auto' detects it from the header).
+    // Rows whose id already exists, or that match an existing item exactly,
+    // are counted as duplicates; invalid rows are skipped and reported.
+    importText(text, dataset = 'auto') {
+        const rows = this.parse(text);
+        if (rows.length === 0) {
+            throw new Error('The file is empty.');
+        }
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const target = dataset === 'auto' ? this.detectDataset(header) : dataset;
+        if (!target || (target !== 'tasks' && !TrackManager.getTrack(target))) {
+            throw new Error('Could not tell which data this file holds. Choose a dataset and import again.');
+        }
+        const required = target === 'tasks'
+            ? ['date', 'start', 'end', 'name']
+            : ['date'].concat(TrackManager.getTrack(target).fields.filter(field => field.required).map(field => field.key));
+        const missingColumn = required.find(key => !header.includes(key));
+        if (missingColumn) {
+            throw new Error(`The file has no "${missingColumn}" column.`);
+        }
+
+        const track = target === 'tasks' ? null : TrackManager.getTrack(target);
+        const report = { dataset: target, added: 0, duplicates: 0, skipped: 0, messages: [] };
+        const byDate = {};
+
+        rows.slice(1).forEach((row, i) => {
+            const record = {};
+            header.forEach((key, column) => { record[key] = this.unescapeFormula(row[column] || ''); });
+            const date = record.date.trim();
+            try {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || DateUtil.formatDate(DateUtil.parseDate(date)) !== date) {
+                    throw new Error('date must be YYYY-MM-DD');
+                }
+                const item = track ? this.buildEntry(track, record) : this.buildTask(record);
+                item.id = record.id ? record.id.trim() : '';
+                (byDate[date] = byDate[date] || []).push(item);
+            } catch (error) {
+                report.skipped++;
+                report.messages.push(`Row ${i + 2}: ${error.message}`);
+            }
+        });
+
+        const sameContent = (a, b) => Object.keys(a).every(key => key === 'id' || a[key] === b[key]);
+        Object.keys(byDate).sort().forEach(date => {
+            const data = TaskManager.getDayData(date);
+            const list = track ? (data.tracks[target] = data.tracks[target] || []) : data.tasks;
+            let added = 0;
+
+            byDate[date].forEach(item => {
+                if (list.some(existing => (item.id && existing.id === item.id) || sameContent(item, existing))) {
+                    report.duplicates++;
+                    return;
+                }
+                item.id = SchemaManager.isSafeId(item.id) ? item.id : TaskManager.generateId();
+                if (track) item.date = date;
+                list.push(item);
+                added++;
+            });
+
+            if (added > 0) {
+                TaskManager.saveDayData(date, data);
+                report.added += added;
+            }
+        });
+        return report;
+    }
+};
+
+// ===== Search Manager =====
+// Full-text search over tasks and study track entries on every stored day,
+// using the storage backend's indexed range query. Every word of the query
+// must appear in an item's text (task name, or an entry's text fields and
+// select values).
+const SearchManager = {
+    RESULT_LIMIT: 100,
+
+    // Get the searchable text of an item record
+    getText(record) {
+        if (record.type === 'task') {
+            return `${record.item.name} ${record.item.category}`;
+        }
+        const track = TrackManager.getTrack(record.type);
+        if (!track) return '';
+        return track.fields
+            .filter(field => field.type !== 'status' && field.type !== 'number')
+            .map(field => record.item[field.key] || '')
+            .join(' ');
+    },
+
+    // Check whether a record counts as completed
+    isCompleted(record) {
+        if (record.type === 'task') return !!record.item.completed;
+        const track = TrackManager.getTrack(record.type);
+        return !!track && TrackManager.getDoneEntries(track, [record.item]).length > 0;
+    },
+
+    // Check a record against the filters. filters.fields maps field keys
+    // (or `category` for tasks) to required values.
+    matchesFilters(record, filters) {
+        if (filters.status === 'completed' && !this.isCompleted(record)) return false;
+        if (filters.status === 'open' && this.isCompleted(record)) return false;
+        return Object.keys(filters.fields || {}).every(key =>
+            !filters.fields[key] || record.item[key] === filters.fields[key]);
+    },
+
+    // Search stored items (async). filters: { type, from, to, status, fields }.
+    // Resolves to { results, total }, newest first, limited to RESULT_LIMIT.
+    search(query, filters = {}) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const range = { from: filters.from || '0000-01-01', to: filters.to || '9999-12-31' };
+
+        return StorageManager.queryItems(Object.assign({ type: filters.type || undefined }, range)).then(stored => {
+            // Stored occurrences may predate a rule edit; match them as they are now
+            const rules = RecurrenceManager.getRules();
+            const records = stored
+                .map(record => (record.type === 'task' && record.item.ruleId
+                    ? Object.assign({}, record, { item: RecurrenceManager.syncOccurrence(record.item, record.date, rules) })
+                    : record))
+                .filter(record => record.item);
+            const matches = records.filter(record => {
+                if (record.type !== 'task' && !TrackManager.getTrack(record.type)) return false;
+                const text = this.getText(record).toLowerCase();
+                return words.every(word => text.includes(word)) && this.matchesFilters(record, filters);
+            });
+            matches.sort((a, b) => b.date.localeCompare(a.date));
+            return { results: matches.slice(0, this.RESULT_LIMIT), total: matches.length };
+        });
+    }
+};
+
+// ===== Time Report Manager =====
+// Planned vs actual minutes of timetable blocks. Only tasks that were timed
+// (have a time log) are compared, so untracked blocks don't count as
+// under-runs.
+const TimeReportManager = {
+    // Create an empty planned/actual tally
+    createTally() {
+        return { planned: 0, actual: 0, tasks: 0 };
+    },
+
+    // Add a task's minutes to a tally
+    addToTally(tally, planned, actual) {
+        tally.planned += planned;
+        tally.actual += actual;
+        tally.tasks++;
+    },
+
+    // Planned vs actual minutes per day and per category for a date range
+    getReport(fromDate, toDate, now = Date.now()) {
+        const report = Object.assign(this.createTally(), { days: [], categories: {} });
+
+        for (let date = fromDate; date <= toDate; date = DateUtil.addDaysToString(date, 1)) {
+            const day = Object.assign(this.createTally(), { date });
+            TaskManager.getDayData(date).tasks
+                .filter(task => (task.timeLog || []).length > 0)
+                .forEach(task => {
+                    const planned = TaskManager.getPlannedMinutes(task);
+                    const actual = TaskManager.getActualMinutes(task, now);
+                    if (!report.categories[task.category]) {
+                        report.categories[task.category] = this.createTally();
+                    }
+                    this.addToTally(day, planned, actual);
+                    this.addToTally(report.categories[task.category], planned, actual);
+                    this.addToTally(report, planned, actual);
+                });
+            report.days.push(day);
+        }
+        return report;
+    },
+
+    // Over (+) or under (-) run as a percentage of the plan, or null without a plan
+    getVariance(tally) {
+        return tally.planned > 0 ? Math.round(((tally.actual - tally.planned) / tally.planned) * 100) : null;
+    },
+
+    // Report for the `days` days ending on endDate, plus the period before it for the trend
+    getTrend(endDate, days = 7) {
+        const fromDate = DateUtil.addDaysToString(endDate, -(days - 1));
+        return {
+            current: this.getReport(fromDate, endDate),
+            previous: this.getReport(DateUtil.addDaysToString(fromDate, -days), DateUtil.addDaysToString(fromDate, -1))
+        };
+    }
+};
+
+// ===== Goal Manager =====
+// Weekly or monthly targets for study tracks and task categories.
+// Progress is computed from stored days; finished periods are snapshotted into
+// each goal's history so later target changes don't rewrite past results.
+const GoalManager = {
+    // Goal subjects: every study track plus task categories
+    getSubjects(includeArchived = true) {
+        const subjects = {};
+        TrackManager.getTracks(includeArchived).forEach(track => {
+            subjects[track.id] = `${track.icon} ${track.name}`;
+        });
+        subjects.category = '🗂️ Task category';
+        return subjects;
+    },
+
+    // Get all goals
+    getGoals() {
+        return StorageManager.getGoals();
+    },
+
+    // Get goals for one subject
+    getGoalsFor(subject) {
+        return this.getGoals().filter(g => g.subject === subject);
+    },
+
+    // Add a goal. filter is a value of the track's filter field or a task category ('' = any)
+    addGoal(goalData) {
+        const goal = {
+            id: TaskManager.generateId(),
+            subject: goalData.subject,
+            filter: goalData.filter || '',
+            metric: goalData.metric === 'sessions' ? 'sessions' : 'minutes',
+            period: goalData.period === 'month' ? 'month' : 'week',
+            target: Math.max(1, parseInt(goalData.target) || 1),
+            createdAt: DateUtil.formatDate(new Date()),
+            history: []
+        };
+        const goals = this.getGoals();
+        goals.push(goal);
+        StorageManager.saveGoals(goals);
+        return goal;
+    },
+
+    // Delete a goal and its history
+    deleteGoal(id) {
+        StorageManager.saveGoals(this.getGoals().filter(g => g.id !== id));
+    },
+
+    // Describe a goal (e.g., "300 min of English · Podcast per week")
+    describe(goal) {
+        const unit = goal.metric === 'minutes' ? 'min' : goal.subject === 'category' ? 'tasks' : 'sessions';
+        const track = TrackManager.getTrack(goal.subject);
+        const subject = goal.subject === 'category' ? goal.filter || 'all tasks'
+            : `${track ? track.name : goal.subject}${goal.filter ? ` · ${goal.filter}` : ''}`;
+        return `${goal.target} ${unit} of ${subject} per ${goal.period}`;
+    },
+
+    // Measure one day's contribution to a goal
+    measureDay(goal, data) {
+        let items = [];
+        let minutesOf = item => parseInt(item.duration) || 0;
+
+        if (goal.subject === 'category') {
+            items = data.tasks.filter(t => t.completed && (!goal.filter || t.category === goal.filter));
+            minutesOf = task => Math.max(0, TimeUtil.toMinutes(task.endTime) - TimeUtil.toMinutes(task.startTime));
+        } else {
+            const track = TrackManager.getTrack(goal.subject);
+            const filterField = track && TrackManager.getFilterField(track);
+            items = track ? TrackManager.getDoneEntries(track, data.tracks[track.id])
+                .filter(entry => !goal.filter || !filterField || entry[filterField.key] === goal.filter) : [];
+        }
+
+        return goal.metric === 'minutes' ? items.reduce((sum, item) => sum + minutesOf(item), 0) : items.length;
+    },
+
+    // Compute a goal's progress for the period containing date
+    getProgress(goal, date = AppState.currentDate) {
+        const range = DateUtil.getPeriodRange(date, goal.period);
+        const value = StorageManager.getAllDates()
+            .filter(d => d >= range.start && d <= range.end)
+            .reduce((sum, d) => sum + this.measureDay(goal, StorageManager.getDateData(d)), 0);
+        return {
+            start: range.start,
+            end: range.end,
+            value,
+            target: goal.target,
+            percent: Math.min(100, Math.round((value / goal.target) * 100)),
+            hit: value >= goal.target
+        };
+    },
+
+    // Snapshot every finished period since the goal was created
+    updateHistory(today = new Date()) {
+        const goals = this.getGoals();
+        let changed = false;
+
+        goals.forEach(goal => {
+            const currentStart = DateUtil.getPeriodRange(today, goal.period).start;
+            let cursor = DateUtil.parseDate(DateUtil.getPeriodRange(DateUtil.parseDate(goal.createdAt), goal.period).start);
+
+            while (DateUtil.formatDate(cursor) < currentStart) {
+                const start = DateUtil.formatDate(cursor);
+                if (!goal.history.some(h => h.start === start)) {
+                    const progress = this.getProgress(goal, cursor);
+                    goal.history.push({ start, value: progress.value, target: goal.target, hit: progress.hit });
+                    changed = true;
+                }
+                cursor = DateUtil.addDays(DateUtil.parseDate(DateUtil.getPeriodRange(cursor, goal.period).end), 1);
+            }
+            goal.history.sort((a, b) => a.start.localeCompare(b.start));
+        });
+
+        if (changed) {
+            StorageManager.saveGoals(goals);
+        }
+        return goals;
+    },
+
+    // Hit rate over the goal's finished periods
+    getHitRate(goal) {
+        const total = goal.history.length;
+        const hits = goal.history.filter(h => h.hit).length;
+        return { hits, total, rate: total > 0 ? Math.round((hits / total) * 100) : null };
+    }
+};
+
+// ===== Calendar Manager =====
+// Per-day summaries and layout data for the month and week calendar views
+const CalendarManager = {
+    // Summarize a day: task counts, completion rate and completed study minutes
+    getDaySummary(dateString) {
+        const data = StorageManager.getDateData(dateString);
+        const total = data.tasks.length;
+        const completed = data.tasks.filter(t => t.completed).length;
+        const minutes = TrackManager.getTracks().reduce((sum, track) =>
+            sum + TrackManager.getDoneEntries(track, data.tracks[track.id])
+                .reduce((trackSum, entry) => trackSum + (parseInt(entry.duration) || 0), 0), 0);
+
+        return {
+            total,
+            completed,
+            rate: total > 0 ? Math.round((completed / total) * 100) : 0,
+            minutes
+        };
+    },
+
+    // Get the 6-week grid of dates (Monday first) covering a date's month
+    getMonthGrid(date) {
+        const start = DateUtil.getStartOfWeek(new Date(date.getFullYear(), date.getMonth(), 1));
+        return Array.from({ length: 42 }, (_, i) => DateUtil.addDays(start, i));
+    },
+
+    // Get the seven dates (Monday-Sunday) of a date's week
+    getWeekDays(date) {
+        const start = DateUtil.getStartOfWeek(date);
+        return Array.from({ length: 7 }, (_, i) => DateUtil.addDays(start, i));
+    },
+
+    // Get the visible time range for the week view: the configured day
+    // bounds, widened to whole hours and to fit any task outside them
+    getTimeRange(days) {
+        const settings = StorageManager.getSettings();
+        let start = TimeUtil.toMinutes(settings.dayStart);
+        let end = TimeUtil.toMinutes(settings.dayEnd);
+        days.forEach(day => day.tasks.forEach(task => {
+            start = Math.min(start, TimeUtil.toMinutes(task.startTime));
+            end = Math.max(end, TimeUtil.toMinutes(task.endTime));
+        }));
+        start = Math.floor(start / 60) * 60;
+        end = Math.max(Math.ceil(end / 60) * 60, start + 60);
+        return { start, end };
+    },
+
+    // Position a task within the time range as top/height percentages
+    getBlockPosition(task, range) {
+        const span = range.end - range.start;
+        const start = TimeUtil.toMinutes(task.startTime);
+        const end = TimeUtil.toMinutes(task.endTime);
+        return {
+            top: ((start - range.start) / span) * 100,
+            height: (Math.max(end - start, 15) / span) * 100
+        };
+    }
+};
+
+// ===== Analytics Manager =====
+// Cross-day statistics built from indexed range queries over stored days
+const AnalyticsManager = {
+    // Get stored dates within an inclusive YYYY-MM-DD range
+    getDatesInRange(fromDate, toDate) {
+        return StorageManager.getAllDates().filter(date => date >= fromDate && date <= toDate);
+    },
+
+    // Collect all DS sessions in a range, each tagged with its date (async)
+    getDSSessions(fromDate, toDate) {
+        return StorageManager.queryItems({ type: 'ds', from: fromDate, to: toDate })
+            .then(records => records.map(record => Object.assign({}, record.item, { date: record.date })));
+    },
+
+    // Build DS study statistics for a date range (async)
+    getDSStats(fromDate, toDate) {
+        return this.getDSSessions(fromDate, toDate).then(sessions => this.buildDSStats(sessions));
+    },
+
+    // Aggregate DS sessions into totals and per-week/month/difficulty/resource/topic groups
+    buildDSStats(sessions) {
+        const minutesOf = session => parseInt(session.duration) || 0;
+
+        const byWeek = {};
+        const byMonth = {};
+        const byDifficulty = {};
+        const byResource = {};
+        const byTopic = {};
+
+        CatalogManager.getNames('dsDifficulties').forEach(d => { byDifficulty[d] = { sessions: 0, minutes: 0 }; });
+        CatalogManager.getNames('dsResources').forEach(r => { byResource[r] = { sessions: 0, minutes: 0 }; });
+
+        sessions.forEach(session => {
+            const minutes = minutesOf(session);
+            const week = DateUtil.formatDate(DateUtil.getStartOfWeek(DateUtil.parseDate(session.date)));
+            const month = session.date.slice(0, 7);
+            const topic = String(session.topic || '').trim();
+            const topicKey = topic.toLowerCase();
+
+            byWeek[week] = (byWeek[week] || 0) + minutes;
+            byMonth[month] = (byMonth[month] || 0) + minutes;
+
+            const difficulty = byDifficulty[session.difficulty] || (byDifficulty[session.difficulty] = { sessions: 0, minutes: 0 });
+            difficulty.sessions++;
+            difficulty.minutes += minutes;
+
+            const resource = byResource[session.resource] || (byResource[session.resource] = { sessions: 0, minutes: 0 });
+            resource.sessions++;
+            resource.minutes += minutes;
+
+            if (!byTopic[topicKey]) {
+                byTopic[topicKey] = { topic, sessions: 0, minutes: 0, lastStudied: session.date };
+            }
+            byTopic[topicKey].sessions++;
+            byTopic[topicKey].minutes += minutes;
+            byTopic[topicKey].lastStudied = session.date > byTopic[topicKey].lastStudied ? session.date : byTopic[topicKey].lastStudied;
+        });
+
+        const topTopics = Object.values(byTopic)
+            .sort((a, b) => b.minutes - a.minutes || b.sessions - a.sessions)
+            .slice(0, 10);
+
+        return {
+            totalSessions: sessions.length,
+            totalMinutes: sessions.reduce((sum, s) => sum + minutesOf(s), 0),
+            activeDays: new Set(sessions.map(s => s.date)).size,
+            byWeek,
+            byMonth,
+            byDifficulty,
+            byResource,
+            topTopics
+        };
+    }
+};
+
+// ===== Focus Timer =====
+// Pomodoro timer that logs the real focused minutes when finished.
+// State is kept in storage with absolute timestamps so a running
+// timer survives a page reload.
+const FocusTimer = {
+    intervalId: null,
+
+    // Resume a stored timer, if any
+    init() {
+        if (StorageManager.getTimerState()) {
+            this.tick();
+            this.startTicking();
+        }
+        UI.renderFocusTimer();
+    },
+
+    // Get current state
+    getState() {
+        return StorageManager.getTimerState();
+    },
+
+    // Start a new session. target describes what to log on finish:
+    // { type: 'track' | 'task' | 'none', date, trackId, taskId, label, data }
+    start(target) {
+        const settings = StorageManager.getSettings();
+        const now = Date.now();
+        StorageManager.saveTimerState({
+            target,
+            phase: 'work',
+            phaseStartedAt: now,
+            phaseEndsAt: now + settings.focusWorkMinutes * 60000,
+            pausedAt: null,
+            focusedMs: 0,
+            rounds: 0,
+            logAs: target.type === 'task' ? this.getDefaultLogType(target.category)
+                : target.type === 'track' ? target.trackId : target.type,
+            completeTask: target.type === 'task'
+        });
+        this.startTicking();
+        UI.renderFocusTimer();
+    },
+
+    // Log time for tasks into the track linked to their category
+    getDefaultLogType(category) {
+        const track = TrackManager.getTrackForCategory(category);
+        return track ? track.id : 'none';
+    },
+
+    // Run the once-a-second tick while a timer exists
+    startTicking() {
+        if (this.intervalId) return;
+        this.intervalId = setInterval(() => this.tick(), 1000);
+    },
+
+    // Stop ticking
+    stopTicking() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    },
+
+    // Advance phases whose end time has passed, then redraw: the whole panel
+    // when the phase changed, otherwise just the clock (so an open select or
+    // a focused checkbox in the panel isn't replaced every second)
+    tick() {
+        const state = this.getState();
+        if (!state) {
+            this.stopTicking();
+            return;
+        }
+
+        if (!state.pausedAt && state.phase !== 'ready' && Date.now() >= state.phaseEndsAt) {
+            const settings = StorageManager.getSettings();
+            if (state.phase === 'work') {
+                // Work round done: bank it and start the break
+                state.focusedMs += state.phaseEndsAt - state.phaseStartedAt;
+                state.rounds++;
+                state.phase = 'break';
+                state.phaseStartedAt = state.phaseEndsAt;
+                state.phaseEndsAt = state.phaseStartedAt + settings.focusBreakMinutes * 60000;
+                this.notify('Focus round complete', `Take a ${settings.focusBreakMinutes} minute break.`);
+            } else {
+                // Break done: wait for the user to start the next round
+                state.phase = 'ready';
+                this.notify('Break over', 'Start the next focus round when you are ready.');
+            }
+            StorageManager.saveTimerState(state);
+            UI.renderFocusTimer();
+            return;
+        }
+
+        UI.renderFocusClock(state);
+    },
+
+    // Show a browser notification when permitted
+    notify(title, body) {
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification(title, { body });
+        }
+    },
+
+    // Milliseconds left in the current phase
+    getRemainingMs(state) {
+        const now = state.pausedAt || Date.now();
+        return Math.max(0, state.phaseEndsAt - now);
+    },
+
+    // Total focused milliseconds, including the running work round
+    getFocusedMs(state) {
+        if (state.phase !== 'work') return state.focusedMs;
+        const now = state.pausedAt || Date.now();
+        return state.focusedMs + Math.max(0, Math.min(now, state.phaseEndsAt) - state.phaseStartedAt);
+    },
+
+    // Pause or resume the current phase
+    togglePause() {
+        const state = this.getState();
+        if (!state || state.phase === 'ready') return;
+        if (state.pausedAt) {
+            const pausedFor = Date.now() - state.pausedAt;
+            state.phaseStartedAt += pausedFor;
+            state.phaseEndsAt += pausedFor;
+            state.pausedAt = null;
+        } else {
+            state.pausedAt = Date.now();
+        }
+        StorageManager.saveTimerState(state);
+        UI.renderFocusTimer();
+    },
+
+    // Start the next work round (after a break, or skipping it)
+    nextRound() {
+        const state = this.getState();
+        if (!state || state.phase === 'work') return;
+        const now = Date.now();
+        state.phase = 'work';
+        state.phaseStartedAt = now;
+        state.phaseEndsAt = now + StorageManager.getSettings().focusWorkMinutes * 60000;
+        state.pausedAt = null;
+        StorageManager.saveTimerState(state);
+        UI.renderFocusTimer();
+    },
+
+    // Update finish options chosen in the timer panel
+    setOptions(options) {
+        const state = this.getState();
+        if (!state) return;
+        Object.assign(state, options);
+        StorageManager.saveTimerState(state);
+    },
+
+    // Stop the timer and create the log entry with the real focused minutes
+    finish() {
+        const state = this.getState();
+        if (!state) return null;
+        const minutes = Math.max(1, Math.round(this.getFocusedMs(state) / 60000));
+        const target = state.target;
+        const data = target.data || {};
+
+        // Managers work on the current day, so switch to the target day briefly
+        const previousDate = AppState.currentDate;
+        const switchDate = target.date !== AppState.getCurrentDateString();
+        if (switchDate) {
+            AppState.setDate(DateUtil.parseDate(target.date));
+        }
+
+        const track = TrackManager.getTrack(state.logAs);
+        if (track) {
+            // Form data is only reused when logging into the track it came from
+            const entryData = Object.assign({}, target.trackId === track.id ? data : {}, {
+                duration: String(minutes),
+                completed: 'true'
+            });
+            // Without a duration field the minutes go into the notes
+            if (!TrackManager.getField(track, 'duration') && TrackManager.getField(track, 'notes')) {
+                entryData.notes = [entryData.notes, `⏱️ ${minutes} min focused`].filter(Boolean).join('\n');
+            }
+            const labelField = TrackManager.getLabelField(track);
+            if (labelField && !entryData[labelField.key] && (labelField.required || target.type === 'task')) {
+                entryData[labelField.key] = target.label;
+            }
+            TrackManager.addEntry(track.id, entryData);
+        }
+
+        if (target.type === 'task' && state.completeTask) {
+            const task = TaskManager.getTask(target.taskId);
+            if (task && !task.completed) {
+                TaskManager.toggleTask(task.id);
+            }
+        }
+
+        if (switchDate) {
+            AppState.setDate(previousDate);
+        }
+
+        this.discard();
+        return { minutes, logAs: state.logAs };
+    },
+
+    // Stop the timer without logging anything
+    discard() {
+        StorageManager.saveTimerState(null);
+        this.stopTicking();
+        UI.renderFocusTimer();
+    }
+};
+
+// ===== Reminder Manager =====
+// Reminders N minutes before a time block starts and a "mark complete?"
+// prompt at its end time. Per-category settings can turn reminders off or
+// change the lead time; nothing fires during quiet hours. Notifications go
+// through the service worker when available, and an in-page toast is shown
+// whenever the page is visible or notifications aren't allowed.
+// Limitation: reminders are fired by this page's clock check, not by the
+// service worker. Browsers stop an idle worker within seconds and offer no
+// standard way to schedule a notification ahead of time (short of a push
+// server), so reminders only arrive while the app is open in a tab. A
+// background tab works, though the browser may delay the check by a minute.
+const ReminderManager = {
+    CHECK_INTERVAL_MS: 30000,
+    // Reminders more than this late (e.g. after the computer slept) are dropped
+    MISSED_GRACE_MS: 5 * 60000,
+    lastCheck: 0,
+    intervalId: null,
+    toasts: [],
+
+    // Start checking the clock and listen for notification actions
+    init() {
+        this.lastCheck = Date.now();
+        this.intervalId = setInterval(() => this.check(), this.CHECK_INTERVAL_MS);
+        document.addEventListener('visibilitychange', () => this.check());
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'reminder-action') {
+                    this.handleAction(e.data);
+                }
+            });
+        }
+        this.handleLaunchAction();
+    },
+
+    // Get the reminder settings for a task category
+    getCategorySettings(category, settings = StorageManager.getSettings()) {
+        const own = settings.reminderCategories[category] || {};
+        return {
+            enabled: own.enabled !== false,
+            leadMinutes: Number.isInteger(own.leadMinutes) ? own.leadMinutes : settings.reminderLeadMinutes
+        };
+    },
+
+    // Update one category's reminder settings
+    setCategorySettings(category, changes) {
+        const settings = StorageManager.getSettings();
+        settings.reminderCategories[category] = Object.assign({}, settings.reminderCategories[category], changes);
+        StorageManager.saveSettings(settings);
+    },
+
+    // Check whether a time falls within quiet hours (which may span midnight)
+    isQuietTime(date, settings = StorageManager.getSettings()) {
+        const start = TimeUtil.toMinutes(settings.quietHoursStart);
+        const end = TimeUtil.toMinutes(settings.quietHoursEnd);
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        if (start === end) return false;
+        return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    },
+
+    // Build the reminders of one day's unfinished tasks, leaving out those in
+    // quiet hours unless includeQuiet is set
+    getRemindersForDate(date, settings = StorageManager.getSettings(), includeQuiet = false) {
+        const reminders = [];
+        const timestamp = time => DateUtil.parseDate(date).getTime() + TimeUtil.toMinutes(time) * 60000;
+
+        TaskManager.getDayData(date).tasks.filter(task => !task.completed).forEach(task => {
+            const category = this.getCategorySettings(task.category, settings);
+            if (!category.enabled) return;
+
+            reminders.push({
+                key: `${date}:${task.id}:start`,
+                kind: 'start',
+                at: timestamp(task.startTime) - category.leadMinutes * 60000,
+                date,
+                taskId: task.id,
+                title: category.leadMinutes > 0 ? `⏰ ${task.name} in ${category.leadMinutes} min` : `⏰ ${task.name} is starting`,
+                body: `${task.startTime} - ${task.endTime} · ${task.category}`
+            });
+            if (settings.reminderEndPrompt) {
+                reminders.push({
+                    key: `${date}:${task.id}:end`,
+                    kind: 'end',
+                    at: timestamp(task.endTime),
+                    date,
+                    taskId: task.id,
+                    title: `✅ Did you finish ${task.name}?`,
+                    body: `${task.startTime} - ${task.endTime} · Mark it complete?`
+                });
+            }
+        });
+        return includeQuiet ? reminders : reminders.filter(reminder => !this.isQuietTime(new Date(reminder.at), settings));
+    },
+
+    // Get reminders due within [fromMs, toMs], from today's and tomorrow's tasks
+    getReminders(fromMs, toMs) {
+        const settings = StorageManager.getSettings();
+        if (!settings.remindersEnabled) return [];
+        const today = DateUtil.formatDate(new Date(fromMs));
+        return [today, DateUtil.addDaysToString(today, 1)]
+            .map(date => this.getRemindersForDate(date, settings))
+            .reduce((all, list) => all.concat(list), [])
+            .filter(reminder => reminder.at > fromMs && reminder.at <= toMs)
+            .sort((a, b) => a.at - b.at);
+    },
+
+    // Fire reminders that fell due since the last check, skipping any that
+    // are long past
+    check() {
+        const now = Date.now();
+        this.getReminders(Math.max(this.lastCheck, now - this.MISSED_GRACE_MS), now).forEach(reminder => this.fire(reminder));
+        this.lastCheck = now;
+    },
+
+    // Show a reminder as a notification and/or an in-page toast
+    fire(reminder) {
+        const permitted = 'Notification' in window && Notification.permission === 'granted';
+        if (permitted) {
+            if (ServiceWorkerManager.isActive()) {
+                ServiceWorkerManager.postMessage({ type: 'show-reminder', reminder });
+            } else {
+                new Notification(reminder.title, { body: reminder.body, tag: reminder.key });
+            }
+        }
+        if (!permitted || document.visibilityState === 'visible') {
+            this.toasts = this.toasts.filter(toast => toast.key !== reminder.key).concat(reminder);
+            UI.renderReminderToasts();
+        }
+    },
+
+    // Remove an in-page reminder
+    dismiss(key) {
+        this.toasts = this.toasts.filter(toast => toast.key !== key);
+        UI.renderReminderToasts();
+    },
+
+    // Mark a reminded task complete (switching to its day if needed)
+    completeTask(date, taskId) {
+        if (date !== AppState.getCurrentDateString()) {
+            AppState.setDate(DateUtil.parseDate(date));
+        }
+        const task = TaskManager.getTask(taskId);
+        if (task && !task.completed) {
+            HistoryManager.run('Complete task', () => TaskManager.toggleTask(taskId));
+        }
+        this.toasts = this.toasts.filter(toast => toast.taskId !== taskId);
+        UI.refresh();
+        UI.renderReminderToasts();
+    },
+
+    // Handle a notification click passed on by the service worker
+    handleAction(message) {
+        if (!message.date || !message.taskId) return;
+        if (message.action === 'complete') {
+            this.completeTask(message.date, message.taskId);
+            return;
+        }
+        if (message.date !== AppState.getCurrentDateString()) {
+            AppState.setDate(DateUtil.parseDate(message.date));
+            UI.refresh();
+        }
+        const reminder = this.getRemindersForDate(message.date, StorageManager.getSettings(), true)
+            .find(r => r.taskId === message.taskId && r.kind === message.kind);
+        if (reminder) {
+            this.toasts = this.toasts.filter(toast => toast.key !== reminder.key).concat(reminder);
+            UI.renderReminderToasts();
+        }
+    },
+
+    // Handle a notification action that opened the app (passed in the URL)
+    handleLaunchAction() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('reminder')) return;
+        history.replaceState(null, '', window.location.pathname);
+        this.handleAction({
+            action: params.get('reminder'),
+            date: params.get('date'),
+            taskId: params.get('task'),
+            kind: params.get('kind')
+        });
+    }
+};
+
+// ===== Streak Manager =====
+// Tracks consistency for every study track and for task completion
+const StreakManager = {
+    // Streak metrics: one per active study track, plus tasks
+    getMetrics() {
+        const metrics = {};
+        TrackManager.getTracks().forEach(track => {
+            metrics[track.id] = `${track.icon} ${track.name}`;
+        });
+        metrics.tasks = '✅ Tasks';
+        return metrics;
+    },
+
+    // Get the task completion threshold (percent)
+    getThreshold() {
+        return StorageManager.getSettings().streakTaskThreshold;
+    },
+
+    // Set the task completion threshold (percent)
+    setThreshold(value) {
+        const settings = StorageManager.getSettings();
+        settings.streakTaskThreshold = Math.min(100, Math.max(1, parseInt(value) || 80));
+        StorageManager.saveSettings(settings);
+    },
+
+    // Evaluate one day's data against every metric
+    // A track counts for a day when it has at least one done entry
+    evaluateDay(data, threshold = this.getThreshold()) {
+        const totalTasks = data.tasks.length;
+        const taskRate = totalTasks > 0 ? Math.round((data.tasks.filter(t => t.completed).length / totalTasks) * 100) : 0;
+        const result = {
+            tasks: totalTasks > 0 && taskRate >= threshold,
+            taskRate,
+            minutes: {},
+            counts: {}
+        };
+
+        TrackManager.getTracks().forEach(track => {
+            const done = TrackManager.getDoneEntries(track, data.tracks[track.id]);
+            result[track.id] = done.length > 0;
+            result.counts[track.id] = done.length;
+            result.minutes[track.id] = done.reduce((sum, entry) => sum + (parseInt(entry.duration) || 0), 0);
+        });
+        return result;
+    },
+
+    // Evaluate every stored day, keyed by date
+    evaluateAllDays() {
+        const threshold = this.getThreshold();
+        const days = {};
+        StorageManager.getAllDates().forEach(date => {
+            days[date] = this.evaluateDay(StorageManager.getDateData(date), threshold);
+        });
+        return days;
+    },
+
+    // Compute current and longest streaks for every metric.
+    // The current streak still counts if today is not done yet but yesterday was.
+    getStreaks(today = DateUtil.formatDate(new Date()), days = this.evaluateAllDays()) {
+        const result = {};
+        const dates = Object.keys(days).sort();
+
+        Object.keys(this.getMetrics()).forEach(metric => {
+            let longest = 0;
+            let run = 0;
+            let previous = null;
+            dates.forEach(date => {
+                if (!days[date][metric]) {
+                    run = 0;
+                } else {
+                    run = previous && DateUtil.daysBetween(previous, date) === 1 && run > 0 ? run + 1 : 1;
+                    longest = Math.max(longest, run);
+                }
+                previous = date;
+            });
+
+            let current = 0;
+            let cursor = days[today] && days[today][metric] ? today : DateUtil.addDaysToString(today, -1);
+            while (days[cursor] && days[cursor][metric]) {
+                current++;
+                cursor = DateUtil.addDaysToString(cursor, -1);
+            }
+
+            result[metric] = { current, longest };
+        });
+        return result;
+    },
+
+    // Heatmap intensity (0-4) for one evaluated day. Tracks with a status are
+    // scaled by completed entries, other tracks by minutes studied.
+    getLevel(day, metric) {
+        if (!day) return 0;
+        if (metric === 'tasks') {
+            return day.taskRate >= 100 ? 4 : day.taskRate >= 75 ? 3 : day.taskRate >= 50 ? 2 : day.taskRate > 0 ? 1 : 0;
+        }
+        if (metric === 'all') {
+            const metrics = Object.keys(this.getMetrics());
+            const active = metrics.filter(m => day[m]).length;
+            return active === metrics.length ? 4 : Math.min(3, active);
+        }
+
+        const track = TrackManager.getTrack(metric);
+        if (!track) return 0;
+        if (TrackManager.getField(track, 'completed')) {
+            return Math.min(4, day.counts[metric] || 0);
+        }
+        const minutes = day.minutes[metric] || 0;
+        return minutes >= 120 ? 4 : minutes >= 60 ? 3 : minutes >= 30 ? 2 : day[metric] ? 1 : 0;
+    }
+};
+
+// ===== Review Manager =====
+// Spaced-repetition review of study track notes (SM-2 scheduling).
+// Each note's scheduling state is stored on its item as `review`, so it
+// lives in the same per-date record as the note itself.
+const ReviewManager = {
+    GRADES: [
+        { value: 1, label: 'Again' },
+        { value: 3, label: 'Hard' },
+        { value: 4, label: 'Good' },
+        { value: 5, label: 'Easy' }
+    ],
+
+    // Default scheduling state: first review the day after the note was logged
+    getDefaultReview(date) {
+        return {
+            ease: 2.5,
+            interval: 0,
+            repetitions: 0,
+            due: DateUtil.addDaysToString(date, 1),
+            lastReviewed: null
+        };
+    },
+
+    // Build review cards from every stored note
+    getAllCards() {
+        const cards = [];
+        StorageManager.getAllDates().forEach(date => {
+            const data = StorageManager.getDateData(date);
+            TrackManager.getTracks(true).forEach(track => {
+                (data.tracks[track.id] || []).filter(entry => entry.notes).forEach(entry => {
+                    cards.push({
+                        id: entry.id,
+                        date,
+                        trackId: track.id,
+                        front: `${track.icon} ${TrackManager.getEntryTitle(track, entry)}`,
+                        back: entry.notes,
+                        review: entry.review || this.getDefaultReview(date)
+                    });
+                });
+            });
+        });
+        return cards;
+    },
+
+    // Cards due on or before a date, oldest due first
+    getDueCards(today = DateUtil.formatDate(new Date())) {
+        return this.getAllCards()
+            .filter(card => card.review.due <= today)
+            .sort((a, b) => a.review.due.localeCompare(b.review.due));
+    },
+
+    // Apply an SM-2 grade (0-5) to a review state and return the new state
+    schedule(review, grade, today) {
+        const next = Object.assign({}, review);
+        if (grade < 3) {
+            next.repetitions = 0;
+            next.interval = 1;
+        } else {
+            next.repetitions += 1;
+            if (next.repetitions === 1) {
+                next.interval = 1;
+            } else if (next.repetitions === 2) {
+                next.interval = 6;
+            } else {
+                next.interval = Math.round(next.interval * next.ease);
+            }
+        }
+        next.ease = Math.max(1.3, next.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+        next.due = DateUtil.addDaysToString(today, next.interval);
+        next.lastReviewed = today;
+        return next;
+    },
+
+    // Grade a card and persist its new schedule on the source item
+    gradeCard(card, grade, today = DateUtil.formatDate(new Date())) {
+        const data = StorageManager.getDateData(card.date);
+        const item = (data.tracks[card.trackId] || []).find(i => i.id === card.id);
+        if (!item) return null;
+
+        item.review = this.schedule(item.review || this.getDefaultReview(card.date), grade, today);
+        StorageManager.saveDateData(card.date, data);
+
+        if (card.date === AppState.getCurrentDateString()) {
+            AppState.currentData = StorageManager.getDateData(card.date);
+        }
+        return item.review;
+    }
+};
+
+// ===== Recurrence Manager =====
+// Recurring tasks are stored once as rules and expanded into each day's
+// task list when that day is read. Occurrence tasks carry the rule id and
+// keep their own completion state in the day record.
+const RecurrenceManager = {
+    FREQUENCIES: {
+        daily: 'Every day',
+        weekdays: 'Weekdays (Mon–Fri)',
+        weekly: 'Specific weekdays',
+        interval: 'Every N days'
+    },
+
+    // Get all rules
+    getRules() {
+        return StorageManager.getRecurringRules();
+    },
+
+    // Get rule by ID
+    getRule(id) {
+        return this.getRules().find(r => r.id === id);
+    },
+
+    // Create a rule starting on startDate. extra holds additional stored fields
+    addRule(taskData, recurrence, startDate, extra = {}) {
+        TaskManager.assertValidTimes(taskData);
+        const id = TaskManager.generateId();
+        const rule = Object.assign({
+            id,
+            seriesId: id,
+            startTime: taskData.startTime,
+            endTime: taskData.endTime,
+            name: taskData.name,
+            category: taskData.category,
+            startDate,
+            exceptions: [],
+            overrides: {}
+        }, this.normalizeRecurrence(recurrence), extra);
+
+        const rules = this.getRules();
+        rules.push(rule);
+        StorageManager.saveRecurringRules(rules);
+        this.afterRulesChanged();
+        return rule;
+    },
+
+    // Keep only the recurrence pattern fields
+    normalizeRecurrence(recurrence) {
+        return {
+            frequency: recurrence.frequency || 'daily',
+            weekdays: recurrence.frequency === 'weekly' ? (recurrence.weekdays || []).map(Number).sort() : [],
+            interval: recurrence.frequency === 'interval' ? Math.max(1, parseInt(recurrence.interval) || 1) : 1,
+            until: recurrence.until || null,
+            count: recurrence.count ? Math.max(1, parseInt(recurrence.count)) : null
+        };
+    },
+
+    // Check whether a date matches the rule's pattern (ignoring bounds)
+    matchesPattern(rule, date) {
+        const weekday = DateUtil.parseDate(date).getDay();
+        switch (rule.frequency) {
+            case 'weekdays':
+                return weekday >= 1 && weekday <= 5;
+            case 'weekly':
+                return rule.weekdays.includes(weekday);
+            case 'interval':
+                return DateUtil.daysBetween(rule.startDate, date) % rule.interval === 0;
+            default:
+                return true;
+        }
+    },
+
+    // Count pattern matches from the rule start up to and including date,
+    // without walking the days: whole weeks are counted at once
+    countOccurrencesThrough(rule, date) {
+        if (date < rule.startDate) return 0;
+        const days = DateUtil.daysBetween(rule.startDate, date) + 1;
+        if (rule.frequency === 'interval') {
+            return Math.floor((days - 1) / rule.interval) + 1;
+        }
+        if (rule.frequency !== 'weekdays' && rule.frequency !== 'weekly') {
+            return days;
+        }
+        const weekdays = rule.frequency === 'weekdays' ? [1, 2, 3, 4, 5] : rule.weekdays;
+        const startWeekday = DateUtil.parseDate(rule.startDate).getDay();
+        let count = Math.floor(days / 7) * weekdays.length;
+        for (let i = 0; i < days % 7; i++) {
+            if (weekdays.includes((startWeekday + i) % 7)) count++;
+        }
+        return count;
+    },
+
+    // Check whether the rule generates an occurrence on date
+    occursOn(rule, date) {
+        if (date < rule.startDate) return false;
+        if (rule.until && date > rule.until) return false;
+        if (rule.exceptions.includes(date)) return false;
+        if (!this.matchesPattern(rule, date)) return false;
+        if (rule.count && this.countOccurrencesThrough(rule, date) > rule.count) return false;
+        return true;
+    },
+
+    // List the dates a recurrence pattern would produce within a window of days
+    getOccurrenceDates(recurrence, startDate, windowDays) {
+        const rule = Object.assign({ startDate, exceptions: [] }, this.normalizeRecurrence(recurrence));
+        const dates = [];
+        for (let i = 0; i < windowDays; i++) {
+            const date = DateUtil.addDaysToString(startDate, i);
+            if (this.occursOn(rule, date)) dates.push(date);
+        }
+        return dates;
+    },
+
+    // Build the task fields for one occurrence
+    buildOccurrence(rule, date) {
+        const override = rule.overrides[date] || {};
+        return {
+            id: `${rule.seriesId}_${date}`,
+            ruleId: rule.id,
+            startTime: override.startTime || rule.startTime,
+            endTime: override.endTime || rule.endTime,
+            name: override.name || rule.name,
+            category: override.category || rule.category
+        };
+    },
+
+    // Bring a stored occurrence task in line with the current rules. Returns
+    // the refreshed task, or null if no rule produces it on date any more.
+    syncOccurrence(task, date, rules = this.getRules()) {
+        const rule = rules.find(r => `${r.seriesId}_${date}` === task.id && this.occursOn(r, date));
+        return rule ? Object.assign({}, task, this.buildOccurrence(rule, date)) : null;
+    },
+
+    // Sync a day's occurrence tasks with the current rules
+    applyToDay(date, dateData, rules = this.getRules()) {
+        const occurrences = rules.filter(rule => this.occursOn(rule, date)).map(rule => this.buildOccurrence(rule, date));
+        const occurrenceIds = occurrences.map(o => o.id);
+
+        // Drop occurrences whose rule no longer produces this date
+        dateData.tasks = dateData.tasks.filter(task => !task.ruleId || occurrenceIds.includes(task.id));
+
+        occurrences.forEach(occurrence => {
+            const existing = dateData.tasks.find(t => t.id === occurrence.id);
+            if (existing) {
+                Object.assign(existing, occurrence);
+            } else {
+                dateData.tasks.push(Object.assign(occurrence, { completed: false }));
+            }
+        });
+
+        dateData.tasks.sort((a, b) => a.startTime.localeCompare(b.startTime));
+        return dateData;
+    },
+
+    // Update one occurrence, this and following occurrences, or the whole series.
+    // scope is 'this', 'following' or 'all'.
+    updateOccurrence(task, date, taskData, recurrence, scope) {
+        const rules = this.getRules();
+        const rule = rules.find(r => r.id === task.ruleId);
+        if (!rule) return;
+        TaskManager.assertValidTimes(taskData);
+
+        if (scope === 'this') {
+            rule.overrides[date] = {
+                startTime: taskData.startTime,
+                endTime: taskData.endTime,
+                name: taskData.name,
+                category: taskData.category
+            };
+        } else if (scope === 'following' && date > rule.startDate) {
+            rules.push(this.splitRule(rule, date, taskData, recurrence));
+        } else {
+            Object.assign(rule, {
+                startTime: taskData.startTime,
+                endTime: taskData.endTime,
+                name: taskData.name,
+                category: taskData.category
+            });
+            if (recurrence) {
+                Object.assign(rule, this.normalizeRecurrence(recurrence));
+            }
+        }
+
+        StorageManager.saveRecurringRules(rules);
+        this.afterRulesChanged();
+    },
+
+    // End rule the day before date and return a new rule continuing the series
+    splitRule(rule, date, taskData, recurrence) {
+        const remaining = rule.count ? rule.count - this.countOccurrencesThrough(rule, DateUtil.addDaysToString(date, -1)) : null;
+        const pattern = recurrence ? this.normalizeRecurrence(recurrence) : {
+            frequency: rule.frequency,
+            weekdays: rule.weekdays,
+            interval: rule.interval,
+            until: rule.until,
+            count: remaining
+        };
+
+        const newRule = Object.assign({
+            id: TaskManager.generateId(),
+            seriesId: rule.seriesId,
+            startTime: taskData.startTime,
+            endTime: taskData.endTime,
+            name: taskData.name,
+            category: taskData.category,
+            startDate: date,
+            exceptions: rule.exceptions.filter(d => d >= date),
+            overrides: {}
+        }, pattern);
+
+        rule.until = DateUtil.addDaysToString(date, -1);
+        rule.exceptions = rule.exceptions.filter(d => d < date);
+        Object.keys(rule.overrides).forEach(d => {
+            if (d >= date) delete rule.overrides[d];
+        });
+        return newRule;
+    },
+
+    // Delete one occurrence, this and following occurrences, or the whole series
+    deleteOccurrence(task, date, scope) {
+        let rules = this.getRules();
+        const rule = rules.find(r => r.id === task.ruleId);
+        if (!rule) return;
+
+        if (scope === 'this') {
+            rule.exceptions.push(date);
+            delete rule.overrides[date];
+        } else if (scope === 'following' && date > rule.startDate) {
+            rule.until = DateUtil.addDaysToString(date, -1);
+        } else {
+            rules = rules.filter(r => r.id !== rule.id);
+        }
+
+        StorageManager.saveRecurringRules(rules);
+        this.afterRulesChanged();
+    },
+
+    // Reload the current day. Stored days are not rewritten: occurrences
+    // are expanded whenever a day is read (applyToDay), and a day's stored
+    // copy catches up the next time that day is saved.
+    afterRulesChanged() {
+        AppState.currentData = StorageManager.getDateData(AppState.getCurrentDateString());
+    },
+
+    // Describe a rule for display (e.g., "Weekdays until 2026-01-31")
+    describe(rule) {
+        let text = this.FREQUENCIES[rule.frequency];
+        if (rule.frequency === 'weekly') {
+            const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+            text = `Every ${rule.weekdays.map(d => names[d]).join(', ')}`;
+        } else if (rule.frequency === 'interval') {
+            text = `Every ${rule.interval} days`;
+        }
+        if (rule.until) text += ` until ${rule.until}`;
+        if (rule.count) text += `, ${rule.count} times`;
+        return text;
+    }
+};
+
+// ===== History Manager =====
+// Undo/redo for changes to the schedule. Each user action runs as a command;
+// the day records and recurrence rules it changed are kept as before/after
+// values, so one step can undo anything from a ticked checkbox to a
+// recurring task rule. History is kept in memory for the session. A record
+// changed outside any command (a graded review card, a restored backup)
+// can't be rolled back without losing that change, so the commands that
+// touched it are dropped (see forget).
+const HistoryManager = {
+    LIMIT: 50,
+    undoStack: [],
+    redoStack: [],
+    active: null,
+
+    // Keys a command can change: day records and recurrence rules
+    isTrackedKey(key) {
+        return key === 'schedule_recurringRules' || /^schedule_\d{4}-\d{2}-\d{2}$/.test(key);
+    },
+
+    // Remember a tracked key's value before the running command first
+    // changes it. StorageManager calls this before every write, with the
+    // value about to be written (null for a removal). A change made outside
+    // any command (grading a review card, renaming a category, a backup
+    // restore) can't be undone, so it ends the history of that key.
+    recordBefore(key, value) {
+        if (!this.isTrackedKey(key)) return;
+        if (this.active) {
+            if (!(key in this.active.before)) {
+                this.active.before[key] = StorageManager.backend.getItem(key);
+            }
+        } else if (StorageManager.backend.getItem(key) !== value) {
+            this.forget(key);
+        }
+    },
+
+    // Drop the commands that can no longer be undone or redone because key
+    // was changed outside them: the latest one that touched it and every
+    // command that would have to be undone (or redone) after it
+    forget(key) {
+        const touches = command => command.changes.some(change => change.key === key);
+        const dropUpTo = stack => stack.slice(stack.map(touches).lastIndexOf(true) + 1);
+        const undoStack = dropUpTo(this.undoStack);
+        const redoStack = dropUpTo(this.redoStack);
+        if (undoStack.length !== this.undoStack.length || redoStack.length !== this.redoStack.length) {
+            this.undoStack = undoStack;
+            this.redoStack = redoStack;
+            UI.renderHistoryButtons();
+        }
+    },
+
+    // Run fn as one undoable command (label e.g. "Delete task") and return
+    // its result. Commands run inside another command become part of it.
+    run(label, fn) {
+        if (this.active) {
+            return fn();
+        }
+        this.active = { label, date: AppState.getCurrentDateString(), before: {} };
+        try {
+            return fn();
+        } finally {
+            const command = this.active;
+            this.active = null;
+            command.changes = Object.keys(command.before)
+                .map(key => ({ key, before: command.before[key], after: StorageManager.backend.getItem(key) }))
+                .filter(change => change.before !== change.after);
+            delete command.before;
+            if (command.changes.length > 0) {
+                this.undoStack.push(command);
+                if (this.undoStack.length > this.LIMIT) {
+                    this.undoStack.shift();
+                }
+                this.redoStack = [];
+            }
+            UI.renderHistoryButtons();
+        }
+    },
+
+    // Write one side ('before' or 'after') of a command back to storage
+    // and reload the day being viewed
+    apply(command, side) {
+        command.changes.forEach(change => {
+            if (change[side] === null) {
+                StorageManager.backend.removeItem(change.key);
+            } else {
+                StorageManager.backend.setItem(change.key, change[side]);
+            }
+        });
+        AppState.setDate(AppState.currentDate);
+    },
+
+    // Throw (and clear the history) if a record a command changed no longer
+    // holds the value it is expected to have on the given side. Changes made
+    // in this tab are handled by forget(); this catches ones from elsewhere,
+    // such as another tab writing the same storage.
+    assertUnchanged(command, side) {
+        const stale = command.changes.some(change => StorageManager.backend.getItem(change.key) !== change[side]);
+        if (stale) {
+            this.clear();
+            throw new Error(`"${command.label}" can't be undone or redone: the data it changed was changed again elsewhere since (e.g. in another tab). History has been cleared.`);
+        }
+    },
+
+    // Forget every command
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        UI.renderHistoryButtons();
+    },
+
+    // Undo the latest command. Returns it, or null if there is none.
+    undo() {
+        const command = this.undoStack[this.undoStack.length - 1];
+        if (!command) return null;
+        this.assertUnchanged(command, 'after');
+        this.undoStack.pop();
+        this.apply(command, 'before');
+        this.redoStack.push(command);
+        return command;
+    },
+
+    // Redo the latest undone command. Returns it, or null if there is none.
+    redo() {
+        const command = this.redoStack[this.redoStack.length - 1];
+        if (!command) return null;
+        this.assertUnchanged(command, 'before');
+        this.redoStack.pop();
+        this.apply(command, 'after');
+        this.undoStack.push(command);
+        return command;
+    },
+
+    // Check whether there is anything to undo
+    canUndo() {
+        return this.undoStack.length > 0;
+    },
+
+    // Check whether there is anything to redo
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+};
+
+// ===== UI Manager =====
+const UI = {
+    // Calendar view shown under the timetable: 'month' or 'week'
+    calendarView: 'month',
+
+    // Template being edited in the template editor, or null for a new one
+    editingTemplateId: null,
+
+    // Commands listed in the command palette and the selected one
+    paletteResults: [],
+    paletteIndex: 0,
+
+    // Escape text for use inside HTML, in element content or a quoted
+    // attribute. Every stored value (names, notes, labels, ids) goes
+    // through this before it is put into innerHTML.
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    // Format notes with a small, safe subset of Markdown. The text is escaped
+    // first; the only markup added back is **bold**, `code`, $formulas$ and
+    // links to http(s)/mailto addresses ([label](url) or bare URLs).
+    // Finished fragments are swapped for \u0000N\u0000 placeholders (U+0000 is
+    // stripped from the text, so it can't fake one) and put back in one pass.
+    // No pattern accepts U+0000, so a fragment never wraps another one and
+    // nothing kept can end up inside a link's href.
+    formatNotes(text) {
+        const kept = [];
+        const restore = html => html.replace(/\u0000(\d+)\u0000/g, (match, index) => kept[index]);
+        const keep = html => `\u0000${kept.push(html) - 1}\u0000`;
+        const link = (url, label) => keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`);
+
+        const html = this.escapeHtml(String(text).replace(/\u0000/g, ''))
+            .replace(/`([^`\n]+)`/g, (match, code) => keep(`<code>${code}</code>`))
+            .replace(/\$(?=[^\s\u0000])([^$\n\u0000]*?[^\s\u0000])\$/g, (match, formula) => keep(`<span class="formula">${this.formatFormula(formula)}</span>`))
+            .replace(/\[([^\]\n\u0000]+)\]\(((?:https?:\/\/|mailto:)[^\s()\u0000]+)\)/g, (match, label, url) => link(url, label))
+            .replace(/(^|[\s(])(https?:\/\/[^\s<()\u0000]*[^\s<().,;:!?\u0000])/g, (match, before, url) => before + link(url, url))
+            .replace(/\*\*(?=\S)([^*\n]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/\n/g, '<br>');
+        return restore(html);
+    },
+
+    // Format an escaped inline formula: x^2, x^{n+1}, a_i, a_{ij} and a few
+    // TeX symbols (\alpha, \sum, \le, …)
+    formatFormula(formula) {
+        const symbols = {
+            alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', theta: 'θ', lambda: 'λ', mu: 'μ',
+            pi: 'π', sigma: 'σ', tau: 'τ', phi: 'φ', omega: 'ω', Delta: 'Δ', Sigma: 'Σ',
+            sum: '∑', prod: '∏', int: '∫', sqrt: '√', infty: '∞', partial: '∂', nabla: '∇',
+            cdot: '·', times: '×', pm: '±', le: '≤', ge: '≥', ne: '≠', approx: '≈', to: '→', in: '∈'
+        };
+        return formula
+            .replace(/\\([a-zA-Z]+)/g, (match, name) => (Object.prototype.hasOwnProperty.call(symbols, name) ? symbols[name] : match))
+            .replace(/([\^_])\{([^{}]*)\}|([\^_])([\w.'+-]+)/g, (match, op, group, op2, single) =>
+                (op || op2) === '^' ? `<sup>${group !== undefined ? group : single}</sup>` : `<sub>${group !== undefined ? group : single}</sub>`);
+    },
+
+    // Format minutes for display (e.g., "1h 30m")
+    formatMinutes(totalMinutes) {
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    },
+
+    // Inline style for a colored badge: tinted background, colored text
+    getBadgeStyle(color) {
+        return `background: ${color}1f; color: ${color}; border-color: ${color}55;`;
+    },
+
+    // Fill a <select> from the catalog. The selected value is kept even if it
+    // has been archived, so editing an old entry doesn't silently change it.
+    populateCatalogSelect(selectId, kind, selectedName = null) {
+        this.fillSelect(document.getElementById(selectId), CatalogManager.getNames(kind, false), selectedName,
+            name => CatalogManager.getLabel(kind, name));
+    },
+
+    // Fill a <select> with names, keeping an unknown selected value as an extra option
+    fillSelect(select, names, selectedName = null, labelOf = name => name) {
+        const options = names.slice();
+        if (selectedName && !options.includes(selectedName)) {
+            options.push(selectedName);
+        }
+        select.innerHTML = options.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(labelOf(name))}</option>`).join('');
+        select.value = selectedName || options[0];
+    },
+
+    // Fill every catalog-driven select with its default selection
+    populateCatalogSelects() {
+        this.populateCatalogSelect('taskCategory', 'taskCategories');
+        this.populateCatalogSelect('icsDefaultCategory', 'taskCategories', StorageManager.getSettings().icsDefaultCategory);
+        this.populateTrackSelects();
+    },
+
+    // Fill the selects that list study tracks: goal subjects and heatmap metrics
+    populateTrackSelects() {
+        const datasets = Object.assign({ all: 'All (one file each)' }, CsvManager.getDatasets());
+        const csvSelect = document.getElementById('csvDataset');
+        this.fillSelect(csvSelect, Object.keys(datasets), datasets[csvSelect.value] ? csvSelect.value : 'all', key => datasets[key]);
+
+        const types = Object.assign({ '': 'Everything' }, CsvManager.getDatasets());
+        const typeSelect = document.getElementById('searchType');
+        this.fillSelect(typeSelect, Object.keys(types), types[typeSelect.value] ? typeSelect.value : '', key => types[key]);
+        this.renderSearchFilters();
+
+        const subjects = GoalManager.getSubjects(false);
+        const subjectSelect = document.getElementById('goalSubject');
+        this.fillSelect(subjectSelect, Object.keys(subjects), subjects[subjectSelect.value] ? subjectSelect.value : null, key => subjects[key]);
+
+        const metrics = Object.assign({ all: 'All activity' }, StreakManager.getMetrics());
+        const heatmapSelect = document.getElementById('heatmapMetric');
+        this.fillSelect(heatmapSelect, Object.keys(metrics), metrics[heatmapSelect.value] ? heatmapSelect.value : 'all', key => metrics[key]);
+
+        this.updateGoalFormFilter();
+    },
+
+    // Render the categories & types editor in the settings modal
+    renderCatalogEditor() {
+        const container = document.getElementById('catalogEditor');
+        const catalog = CatalogManager.getCatalog();
+
+        container.innerHTML = Object.keys(CatalogManager.KINDS).map(kind => `
+            <div class="catalog-kind">
+                <h4>${CatalogManager.KINDS[kind]}</h4>
+                ${catalog[kind].map((item, index) => `
+                    <div class="catalog-row ${item.archived ? 'archived' : ''}" data-kind="${kind}" data-id="${this.escapeHtml(item.id)}">
+                        <input type="color" class="catalog-color" value="${this.escapeHtml(item.color)}" aria-label="Color">
+                        <input type="text" class="catalog-icon" value="${this.escapeHtml(item.icon)}" maxlength="4" aria-label="Icon" placeholder="🙂">
+                        <input type="text" class="catalog-name" value="${this.escapeHtml(item.name)}" aria-label="Name">
+                        <button type="button" class="btn-icon catalog-move" data-direction="-1" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                        <button type="button" class="btn-icon catalog-move" data-direction="1" ${index === catalog[kind].length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                        <label class="checkbox-label catalog-archive" title="Archived items are hidden from forms but kept in history">
+                            <input type="checkbox" ${item.archived ? 'checked' : ''}>
+                            <span>Archived</span>
+                        </label>
+                    </div>
+                `).join('')}
+                <div class="catalog-row catalog-new" data-kind="${kind}">
+                    <input type="color" class="catalog-color" value="#6b7280" aria-label="Color">
+                    <input type="text" class="catalog-icon" maxlength="4" aria-label="Icon" placeholder="🙂">
+                    <input type="text" class="catalog-name" placeholder="New item…" aria-label="New item name">
+                    <button type="button" class="btn-secondary catalog-add">+ Add</button>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    // Render reminder options and per-category reminder settings
+    renderReminderSettings() {
+        const settings = StorageManager.getSettings();
+        document.getElementById('remindersEnabled').checked = settings.remindersEnabled;
+        document.getElementById('reminderLeadMinutes').value = settings.reminderLeadMinutes;
+        document.getElementById('reminderEndPrompt').checked = settings.reminderEndPrompt;
+        document.getElementById('quietHoursStart').value = settings.quietHoursStart;
+        document.getElementById('quietHoursEnd').value = settings.quietHoursEnd;
+
+        const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+        document.getElementById('reminderPermission').textContent = {
+            granted: '🔔 Browser notifications are allowed.',
+            denied: '🔕 Browser notifications are blocked; reminders appear in the page only.',
+            default: 'Browser notifications will be requested when you turn reminders on.',
+            unsupported: 'This browser has no notifications; reminders appear in the page only.'
+        }[permission];
+
+        document.getElementById('reminderCategories').innerHTML = CatalogManager.getItems('taskCategories').map(item => {
+            const category = ReminderManager.getCategorySettings(item.name, settings);
+            const own = settings.reminderCategories[item.name] || {};
+            return `
+                <div class="catalog-row" data-category="${this.escapeHtml(item.name)}">
+                    <label class="checkbox-label reminder-category-enabled">
+                        <input type="checkbox" ${category.enabled ? 'checked' : ''}>
+                        <span>${this.escapeHtml(`${item.icon} ${item.name}`)}</span>
+                    </label>
+                    <input type="number" class="reminder-category-lead" min="0" max="720"
+                        value="${Number.isInteger(own.leadMinutes) ? own.leadMinutes : ''}"
+                        placeholder="${settings.reminderLeadMinutes}" aria-label="Minutes before for ${this.escapeHtml(item.name)}">
+                    <span class="settings-hint">min before</span>
+                </div>
+            `;
+        }).join('');
+    },
+
+    // Show the "new version available" banner
+    showUpdateBanner() {
+        document.getElementById('updateBanner').hidden = false;
+    },
+
+    // Hide the update banner until the next visit
+    hideUpdateBanner() {
+        document.getElementById('updateBanner').hidden = true;
+    },
+
+    // Enable the undo/redo buttons when there is something to undo or redo
+    renderHistoryButtons() {
+        const undo = HistoryManager.undoStack[HistoryManager.undoStack.length - 1];
+        const redo = HistoryManager.redoStack[HistoryManager.redoStack.length - 1];
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        undoBtn.disabled = !undo;
+        undoBtn.title = undo ? `Undo: ${undo.label} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.disabled = !redo;
+        redoBtn.title = redo ? `Redo: ${redo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    },
+
+    // Show a short-lived message with an Undo or Redo button
+    showHistoryToast(message, action) {
+        const toast = document.getElementById('historyToast');
+        toast.innerHTML = `
+            <span>${this.escapeHtml(message)}</span>
+            <button class="btn-secondary" data-history-action="${action}">${action === 'undo' ? '↶ Undo' : '↷ Redo'}</button>
+        `;
+        toast.hidden = false;
+        clearTimeout(this.historyToastTimeout);
+        this.historyToastTimeout = setTimeout(() => this.hideHistoryToast(), 6000);
+    },
+
+    // Hide the undo/redo message
+    hideHistoryToast() {
+        clearTimeout(this.historyToastTimeout);
+        document.getElementById('historyToast').hidden = true;
+    },
+
+    // Render in-page reminders (the fallback when notifications can't be shown)
+    renderReminderToasts() {
+        document.getElementById('reminderToasts').innerHTML = ReminderManager.toasts.map(toast => `
+            <div class="reminder-toast" data-reminder-key="${this.escapeHtml(toast.key)}" data-date="${toast.date}" data-task-id="${this.escapeHtml(toast.taskId)}">
+                <div class="reminder-toast-text">
+                    <strong>${this.escapeHtml(toast.title)}</strong>
+                    <span>${this.escapeHtml(toast.body)}</span>
+                </div>
+                <div class="reminder-toast-actions">
+                    ${toast.kind === 'end' ? '<button class="btn-primary reminder-complete">✅ Mark complete</button>' : ''}
+                    <button class="btn-secondary reminder-dismiss">${toast.kind === 'end' ? 'Not yet' : 'Dismiss'}</button>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    // Render the study track list in the settings modal
+    renderTrackEditor() {
+        const container = document.getElementById('trackEditor');
+        const tracks = TrackManager.getTracks(true);
+
+        container.innerHTML = tracks.map((track, index) => `
+            <div class="catalog-row ${track.archived ? 'archived' : ''}" data-track-id="${this.escapeHtml(track.id)}">
+                <input type="text" class="catalog-icon" value="${this.escapeHtml(track.icon)}" maxlength="4" aria-label="Icon">
+                <input type="text" class="catalog-name" value="${this.escapeHtml(track.name)}" aria-label="Name">
+                <button type="button" class="btn-icon track-move" data-direction="-1" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                <button type="button" class="btn-icon track-move" data-direction="1" ${index === tracks.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                ${track.builtIn ? '' : `
+                    <button type="button" class="btn-icon track-edit" title="Edit fields">✏️</button>
+                    <button type="button" class="btn-icon track-delete" title="Delete track">🗑️</button>
+                `}
+                <label class="checkbox-label catalog-archive" title="Archived tracks are hidden but keep their history">
+                    <input type="checkbox" ${track.archived ? 'checked' : ''}>
+                    <span>Archived</span>
+                </label>
+            </div>
+        `).join('');
+    },
+
+    // Fill the track builder from a user-defined track, or reset it
+    fillTrackBuilder(track = null) {
+        const spec = track ? TrackManager.getSpec(track) : {
+            name: '', icon: '', entryLabel: '', titleLabel: '', duration: true, status: false, difficulty: false, notes: true, selects: []
+        };
+        this.editingTrackId = track ? track.id : null;
+        document.getElementById('trackBuilderName').value = spec.name;
+        document.getElementById('trackBuilderIcon').value = spec.icon;
+        document.getElementById('trackBuilderEntryLabel').value = spec.entryLabel;
+        document.getElementById('trackBuilderTitleLabel').value = spec.titleLabel;
+        document.getElementById('trackBuilderDuration').checked = spec.duration;
+        document.getElementById('trackBuilderStatus').checked = spec.status;
+        document.getElementById('trackBuilderDifficulty').checked = spec.difficulty;
+        document.getElementById('trackBuilderNotes').checked = spec.notes;
+        document.getElementById('trackBuilderSelects').value = spec.selects.map(s => `${s.label}: ${s.options.join(', ')}`).join('\n');
+        document.getElementById('saveTrackBuilder').textContent = track ? '💾 Update Track' : '+ Add Track';
+        document.getElementById('cancelTrackBuilder').style.display = track ? '' : 'none';
+    },
+
+    // Read the track builder into a spec. Custom selects are one per line: "Label: a, b, c"
+    readTrackBuilder() {
+        const selects = document.getElementById('trackBuilderSelects').value.split('\n')
+            .map(line => line.split(':'))
+            .filter(parts => parts.length >= 2 && parts[0].trim())
+            .map(([label, ...rest]) => ({
+                label: label.trim(),
+                options: rest.join(':').split(',').map(o => o.trim()).filter(Boolean)
+            }))
+            .filter(select => select.options.length > 0);
+
+        return {
+            name: document.getElementById('trackBuilderName').value,
+            icon: document.getElementById('trackBuilderIcon').value,
+            entryLabel: document.getElementById('trackBuilderEntryLabel').value,
+            titleLabel: document.getElementById('trackBuilderTitleLabel').value.trim() || 'Topic',
+            duration: document.getElementById('trackBuilderDuration').checked,
+            status: document.getElementById('trackBuilderStatus').checked,
+            difficulty: document.getElementById('trackBuilderDifficulty').checked,
+            notes: document.getElementById('trackBuilderNotes').checked,
+            selects
+        };
+    },
+
+    // Open the settings modal
+    openSettingsModal() {
+        this.renderReminderSettings();
+        this.renderTrackEditor();
+        this.fillTrackBuilder();
+        this.renderCatalogEditor();
+        this.renderShortcutSettings();
+        document.getElementById('settingsModal').classList.add('active');
+    },
+
+    // Close the settings modal and refresh everything that shows tracks or catalog items
+    closeSettingsModal() {
+        document.getElementById('settingsModal').classList.remove('active');
+        this.populateCatalogSelects();
+        this.renderTrackSections();
+        this.refresh();
+    },
+
+    // Open the command palette with an empty query
+    openPalette() {
+        const input = document.getElementById('paletteInput');
+        input.value = '';
+        this.paletteIndex = 0;
+        this.renderPalette();
+        document.getElementById('commandPalette').classList.add('active');
+        input.focus();
+    },
+
+    // Close the command palette
+    closePalette() {
+        document.getElementById('commandPalette').classList.remove('active');
+    },
+
+    // Render the commands matching the palette's query, marking the selected one
+    renderPalette() {
+        const input = document.getElementById('paletteInput');
+        const list = document.getElementById('paletteList');
+        const shortcuts = CommandPalette.getShortcuts();
+        this.paletteResults = CommandPalette.search(input.value);
+        this.paletteIndex = Math.min(this.paletteIndex, Math.max(0, this.paletteResults.length - 1));
+
+        if (this.paletteResults.length === 0) {
+            list.innerHTML = '<li class="empty-state">No matching commands</li>';
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        list.innerHTML = this.paletteResults.map((command, index) => `
+            <li class="palette-item ${index === this.paletteIndex ? 'selected' : ''}" id="palette-option-${index}"
+                role="option" aria-selected="${index === this.paletteIndex}" data-index="${index}">
+                <span>${this.escapeHtml(command.title)}</span>
+                ${shortcuts[command.id] ? `<kbd>${this.escapeHtml(shortcuts[command.id])}</kbd>` : ''}
+            </li>
+        `).join('');
+        input.setAttribute('aria-activedescendant', `palette-option-${this.paletteIndex}`);
+        list.querySelector('.selected').scrollIntoView({ block: 'nearest' });
+    },
+
+    // Move the palette selection up or down, wrapping around
+    movePaletteSelection(step) {
+        const count = this.paletteResults.length;
+        if (count === 0) return;
+        this.paletteIndex = (this.paletteIndex + step + count) % count;
+        this.renderPalette();
+    },
+
+    // Focus the search box and select its text
+    focusSearch() {
+        const input = document.getElementById('searchQuery');
+        input.scrollIntoView({ block: 'center' });
+        input.focus();
+        input.select();
+    },
+
+    // Render a key input for every command that can have a shortcut
+    renderShortcutSettings() {
+        const shortcuts = CommandPalette.getShortcuts();
+        document.getElementById('shortcutList').innerHTML = CommandPalette.getCommands()
+            .filter(command => command.shortcut)
+            .map(command => `
+                <label class="shortcut-row">
+                    <span>${this.escapeHtml(command.title)}</span>
+                    <input type="text" class="shortcut-key" maxlength="1" data-command="${this.escapeHtml(command.id)}"
+                        value="${this.escapeHtml(shortcuts[command.id] || '')}" aria-label="Shortcut for ${this.escapeHtml(command.title)}">
+                </label>
+            `).join('');
+    },
+
+    // Render a list of labelled horizontal bars scaled to the largest value
+    renderBars(rows) {
+        const max = Math.max(1, ...rows.map(row => row.value));
+        return rows.map(row => `
+            <div class="bar-row">
+                <span class="bar-label">${this.escapeHtml(row.label)}</span>
+                <div class="bar-track">
+                    <div class="bar-fill" style="width: ${Math.round((row.value / max) * 100)}%"></div>
+                </div>
+                <span class="bar-value">${row.display}</span>
+            </div>
+        `).join('');
+    },
+
+    // Show the stored settings in the settings inputs
+    fillSettingsFields() {
+        const settings = StorageManager.getSettings();
+        document.getElementById('streakThreshold').value = StreakManager.getThreshold();
+        document.getElementById('icsCategoryRules').value = settings.icsCategoryRules;
+        document.getElementById('dayStartInput').value = settings.dayStart;
+        document.getElementById('dayEndInput').value = settings.dayEnd;
+        document.getElementById('autoRollover').checked = settings.autoRollover;
+        document.getElementById('rolloverDays').value = settings.rolloverDays;
+    },
+
+    // Initialize UI
+    init() {
+        this.populateCatalogSelects();
+        document.getElementById('analyticsTo').value = AppState.getCurrentDateString();
+        document.getElementById('analyticsFrom').value = DateUtil.formatDate(DateUtil.addDays(AppState.currentDate, -83));
+        document.getElementById('icsFrom').value = AppState.getCurrentDateString();
+        document.getElementById('csvFrom').value = DateUtil.formatDate(DateUtil.addDays(AppState.currentDate, -29));
+        document.getElementById('csvTo').value = AppState.getCurrentDateString();
+        document.getElementById('icsTo').value = DateUtil.formatDate(DateUtil.addDays(AppState.currentDate, 27));
+        document.getElementById('templateFrom').value = AppState.getCurrentDateString();
+        document.getElementById('templateTo').value = AppState.getCurrentDateString();
+        this.fillSettingsFields();
+        this.updateDateDisplay();
+        this.renderTimetable();
+        this.renderProgress();
+        this.renderTrackSections();
+        this.renderCalendar();
+        this.renderTemplates();
+        this.renderWeeklyOverview();
+        this.renderStreaks();
+        this.renderReview();
+        this.renderGoals();
+        this.renderRecovery();
+    },
+
+    // Update date display in header
+    updateDateDisplay() {
+        const dateElement = document.getElementById('currentDate');
+        dateElement.textContent = DateUtil.formatDateDisplay(AppState.currentDate);
+        document.getElementById('datePicker').value = AppState.getCurrentDateString();
+        document.getElementById('todayBtn').disabled = AppState.getCurrentDateString() === DateUtil.formatDate(new Date());
+    },
+
+    // Render the calendar in the selected view
+    renderCalendar() {
+        document.querySelectorAll('[data-calendar-view]').forEach(button => {
+            button.classList.toggle('active', button.dataset.calendarView === this.calendarView);
+        });
+        if (this.calendarView === 'month') {
+            this.renderMonthView();
+        } else {
+            this.renderWeekView();
+        }
+    },
+
+    // Render a month grid with task counts, completion and study minutes per day
+    renderMonthView() {
+        const current = AppState.currentDate;
+        const today = DateUtil.formatDate(new Date());
+        const selected = AppState.getCurrentDateString();
+        document.getElementById('calendarTitle').textContent =
+            current.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+        const weekdays = CalendarManager.getWeekDays(current)
+            .map(date => `<div class="calendar-weekday">${DateUtil.getDayName(date)}</div>`).join('');
+        const cells = CalendarManager.getMonthGrid(current).map(date => {
+            const dateString = DateUtil.formatDate(date);
+            const summary = CalendarManager.getDaySummary(dateString);
+            const classes = ['calendar-day'];
+            if (date.getMonth() !== current.getMonth()) classes.push('outside');
+            if (dateString === today) classes.push('today');
+            if (dateString === selected) classes.push('selected');
+
+            return `
+                <button type="button" class="${classes.join(' ')}" data-date="${dateString}"
+                    title="${DateUtil.formatDateDisplay(date)}">
+                    <span class="calendar-day-number">${date.getDate()}</span>
+                    ${summary.total > 0 ? `
+                        <span class="calendar-day-stat">📋 ${summary.completed}/${summary.total}</span>
+                        <span class="calendar-day-rate">
+                            <span class="calendar-day-rate-fill" style="width: ${summary.rate}%"></span>
+                        </span>
+                    ` : ''}
+                    ${summary.minutes > 0 ? `<span class="calendar-day-stat">📚 ${this.formatMinutes(summary.minutes)}</span>` : ''}
+                </button>
+            `;
+        }).join('');
+
+        document.getElementById('calendarView').innerHTML = `
+            <div class="calendar-month">${weekdays}${cells}</div>
+        `;
+    },
+
+    // Render a week of time blocks on a vertical time axis
+    renderWeekView() {
+        const dates = CalendarManager.getWeekDays(AppState.currentDate);
+        const days = dates.map(date => StorageManager.getDateData(DateUtil.formatDate(date)));
+        const range = CalendarManager.getTimeRange(days);
+        const today = DateUtil.formatDate(new Date());
+        const selected = AppState.getCurrentDateString();
+        const hourHeight = 48;
+        const bodyHeight = ((range.end - range.start) / 60) * hourHeight;
+
+        document.getElementById('calendarTitle').textContent =
+            `${DateUtil.getDateString(dates[0])} – ${DateUtil.getDateString(dates[6])}, ${dates[6].getFullYear()}`;
+
+        let hours = '';
+        for (let minutes = range.start; minutes < range.end; minutes += 60) {
+            hours += `<div class="calendar-hour" style="height: ${hourHeight}px">${TimeUtil.fromMinutes(minutes)}</div>`;
+        }
+
+        const columns = dates.map((date, i) => {
+            const dateString = DateUtil.formatDate(date);
+            const classes = ['calendar-week-day'];
+            if (dateString === today) classes.push('today');
+            if (dateString === selected) classes.push('selected');
+
+            const blocks = days[i].tasks.map(task => {
+                const position = CalendarManager.getBlockPosition(task, range);
+                const color = CatalogManager.getColor('taskCategories', task.category);
+                return `
+                    <div class="calendar-block ${task.completed ? 'completed' : ''}" data-task-id="${this.escapeHtml(task.id)}" data-date="${dateString}"
+                        data-start="${task.startTime}" data-end="${task.endTime}"
+                        style="top: ${position.top}%; height: ${position.height}%; border-left-color: ${color}; background: ${color}22"
+                        title="${task.startTime}–${task.endTime} ${this.escapeHtml(task.name)}">
+                        <span class="calendar-block-time">${task.startTime}</span>
+                        <span class="calendar-block-name">${this.escapeHtml(task.name)}</span>
+                        <span class="calendar-block-resize"></span>
+                    </div>
+                `;
+            }).join('');
+
+            return `
+                <div class="${classes.join(' ')}">
+                    <button type="button" class="calendar-week-header" data-date="${dateString}">
+                        ${DateUtil.getDayName(date)} ${DateUtil.getDateString(date)}
+                    </button>
+                    <div class="calendar-week-body" data-date="${dateString}" style="height: ${bodyHeight}px">${blocks}</div>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('calendarView').innerHTML = `
+            <div class="calendar-week" data-range-start="${range.start}" data-range-end="${range.end}" data-hour-height="${hourHeight}">
+                <div class="calendar-axis">
+                    <div class="calendar-week-header calendar-axis-spacer"></div>
+                    ${hours}
+                </div>
+                ${columns}
+            </div>
+        `;
+    },
+
+    // Render timetable list
+    renderTimetable() {
+        const container = document.getElementById('timetableList');
+        const tasks = AppState.currentData.tasks;
+        this.renderRunningTimerBanner();
+
+        if (tasks.length === 0) {
+            container.innerHTML = '<div class="empty-state">No tasks scheduled for today.<br>Click "+ Add Task" to get started.</div>';
+            return;
+        }
+
+        const conflictIds = TaskManager.getConflictIds(tasks);
+        const freeSlots = TaskManager.getFreeSlots(tasks);
+        const freeSlotHtml = slot => `
+            <div class="free-slot" data-start="${slot.startTime}" data-end="${slot.endTime}" title="Add a task in this slot" role="button" tabindex="0">
+                🟢 Free ${slot.startTime} - ${slot.endTime} · ${this.formatMinutes(slot.minutes)}
+            </div>
+        `;
+
+        const taskHtml = tasks.map(task => {
+            const color = CatalogManager.getColor('taskCategories', task.category);
+            const conflict = conflictIds.has(task.id);
+            const running = TaskManager.isTimerRunning(task);
+            const progress = TaskManager.getProgress(task);
+            const id = this.escapeHtml(task.id);
+            return `
+                <div class="timetable-item ${task.completed ? 'completed' : ''} ${conflict ? 'conflict' : ''}" data-task-id="${id}" data-start="${task.startTime}" data-end="${task.endTime}" style="border-left-color: ${color}">
+                    <span class="drag-handle" data-task-id="${id}" title="Drag onto a free slot, a task or a day to move">⠿</span>
+                    <input 
+                        type="checkbox" 
+                        class="task-checkbox" 
+                        data-task-id="${id}"
+                        ${task.completed ? 'checked' : ''}
+                    >
+                    <div class="task-info">
+                        <div class="task-time">${task.startTime} - ${task.endTime}${conflict ? ' <span class="conflict-badge" title="Overlaps another task">⚠️ Overlap</span>' : ''}</div>
+                        <div class="task-name">${this.escapeHtml(task.name)}</div>
+                        <span class="task-category" style="${this.getBadgeStyle(color)}">${this.escapeHtml(CatalogManager.getLabel('taskCategories', task.category))}</span>
+                        ${task.ruleId ? '<span class="task-recurring" title="Recurring task">🔁</span>' : ''}
+                        ${task.deferCount ? `<span class="task-deferred" title="First planned for ${this.escapeHtml(task.deferredFrom)}">↪️ Deferred ${this.escapeHtml(task.deferCount)}×</span>` : ''}
+                        ${(task.timeLog || []).length > 0 ? `<span class="task-actual ${running ? 'running' : ''} ${TaskManager.isTimerOverrun(task) ? 'overrun' : ''}" data-task-id="${id}" title="${TaskManager.isTimerOverrun(task) ? 'Still running past the planned length. Forgot to stop it?' : 'Tracked / planned time'}">${this.formatTrackedTime(task)}</span>` : ''}
+                        ${task.completed ? '' : `
+                            <select class="task-progress" data-task-id="${id}" title="How much is done">
+                                ${[0, 25, 50, 75, 100].map(value => `<option value="${value}" ${progress === value ? 'selected' : ''}>${value === 100 ? 'Done' : `${value}%`}</option>`).join('')}
+                            </select>
+                        `}
+                    </div>
+                    <span class="resize-handle" data-task-id="${id}" title="Drag up or down to change the end time"></span>
+                    <div class="task-actions">
+                        <button class="btn-icon track-time ${running ? 'running' : ''}" data-task-id="${id}" title="${running ? 'Stop tracking time' : 'Track actual time'}">${running ? '⏹️' : '▶️'}</button>
+                        <button class="btn-icon focus" data-task-id="${id}" title="Start focus timer">⏱️</button>
+                        <button class="btn-icon edit" data-task-id="${id}">✏️</button>
+                        <button class="btn-icon delete" data-task-id="${id}">🗑️</button>
+                    </div>
+                </div>
+            `;
+        });
+
+        // Interleave free slots between blocks in time order
+        const rows = tasks.map((task, i) => ({ time: task.startTime, order: 1, html: taskHtml[i] }))
+            .concat(freeSlots.map(slot => ({ time: slot.startTime, order: 0, html: freeSlotHtml(slot) })))
+            .sort((a, b) => a.time.localeCompare(b.time) || a.order - b.order);
+        container.innerHTML = rows.map(row => row.html).join('');
+
+        // Add event listeners for free slots
+        container.querySelectorAll('.free-slot').forEach(slot => {
+            slot.addEventListener('click', (e) => {
+                this.openAddTaskModal();
+                document.getElementById('taskTime').value = e.currentTarget.dataset.start;
+                document.getElementById('taskEndTime').value = e.currentTarget.dataset.end;
+            });
+            slot.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    e.currentTarget.click();
+                }
+            });
+        });
+
+        // Add event listeners for checkboxes
+        container.querySelectorAll('.task-checkbox').forEach(checkbox => {
             checkbox.addEventListener('change', (e) => {
                 const taskId = e.target.dataset.taskId;
-                TaskManager.toggleTask(taskId);
+                HistoryManager.run('Toggle task', () => TaskManager.toggleTask(taskId));
+                this.renderTimetable();
+                this.renderProgress();
+                this.renderWeeklyOverview();
+                this.renderStreaks();
+            });
+        });
+
+        // Add event listeners for time tracking buttons
+        container.querySelectorAll('.track-time').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const task = TaskManager.getTask(e.target.dataset.taskId);
+                if (TaskManager.isTimerRunning(task)) {
+                    HistoryManager.run('Stop tracking', () => TaskManager.stopTimer(task.id));
+                } else {
+                    HistoryManager.run('Start tracking', () => TaskManager.startTimer(task.id));
+                }
+                this.renderTimetable();
+                this.renderProgress();
+            });
+        });
+
+        // Add event listeners for partial completion
+        container.querySelectorAll('.task-progress').forEach(select => {
+            select.addEventListener('change', (e) => {
+                HistoryManager.run('Set progress', () => TaskManager.setProgress(e.target.dataset.taskId, e.target.value));
                 this.renderTimetable();
                 this.renderProgress();
                 this.renderWeeklyOverview();
+                this.renderStreaks();
+            });
+        });
+
+        // Add event listeners for focus timer buttons
+        container.querySelectorAll('.focus').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const task = TaskManager.getTask(e.target.dataset.taskId);
+                EventHandlers.startFocus({
+                    type: 'task',
+                    date: AppState.getCurrentDateString(),
+                    taskId: task.id,
+                    category: task.category,
+                    label: task.name
+                });
+            });
+        });
+
+        // Add event listeners for edit buttons
+        container.querySelectorAll('.edit').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const taskId = e.target.dataset.taskId;
+                this.openEditTaskModal(taskId);
+            });
+        });
+
+        // Add event listeners for delete buttons
+        container.querySelectorAll('.delete').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const taskId = e.target.dataset.taskId;
+                const task = TaskManager.getTask(taskId);
+                if (task.ruleId) {
+                    this.openScopeModal('Delete recurring task', scope => {
+                        HistoryManager.run('Delete recurring task', () => {
+                            RecurrenceManager.deleteOccurrence(task, AppState.getCurrentDateString(), scope);
+                        });
+                        this.renderTimetable();
+                        this.renderProgress();
+                        this.renderWeeklyOverview();
+                        this.renderStreaks();
+                        this.showHistoryToast(`Deleted "${task.name}"`, 'undo');
+                    });
+                } else {
+                    HistoryManager.run('Delete task', () => TaskManager.deleteTask(taskId));
+                    this.renderTimetable();
+                    this.renderProgress();
+                    this.renderWeeklyOverview();
+                    this.renderStreaks();
+                    this.showHistoryToast(`Deleted "${task.name}"`, 'undo');
+                }
+            });
+        });
+    },
+
+    // Render progress summary
+    renderProgress() {
+        const stats = TaskManager.getStats();
+        document.getElementById('completedTasks').textContent = stats.completed;
+        document.getElementById('totalTasks').textContent = stats.total;
+        document.getElementById('completionRate').textContent = `${stats.rate}%`;
+        this.renderGoalProgress('category', 'categoryGoals');
+        this.renderPlanActual();
+    },
+
+    // Format a task's tracked vs planned time, e.g. "● 45m / 2h 0m"
+    // (⚠️ while running past the plan)
+    formatTrackedTime(task) {
+        const running = TaskManager.isTimerRunning(task) ? (TaskManager.isTimerOverrun(task) ? '⚠️ ' : '● ') : '';
+        return `${running}${this.formatMinutes(TaskManager.getActualMinutes(task))} / ${this.formatMinutes(TaskManager.getPlannedMinutes(task))}`;
+    },
+
+    // Format a variance, e.g. "+15%" or "-40%"
+    formatVariance(variance) {
+        return variance > 0 ? `+${variance}%` : `${variance}%`;
+    },
+
+    // Keep the tracked time of running tasks up to date
+    renderRunningTimers() {
+        const running = AppState.currentData.tasks.filter(task => TaskManager.isTimerRunning(task));
+        running.forEach(task => {
+            const label = document.querySelector(`.task-actual[data-task-id="${CSS.escape(task.id)}"]`);
+            if (label) {
+                label.textContent = this.formatTrackedTime(task);
+                label.classList.toggle('overrun', TaskManager.isTimerOverrun(task));
+            }
+        });
+        if (running.length > 0) {
+            this.renderPlanActual();
+        }
+        this.renderRunningTimerBanner();
+    },
+
+    // Show the task being timed when it is on another day than the one viewed
+    renderRunningTimerBanner() {
+        const banner = document.getElementById('runningTimerBanner');
+        const running = TaskManager.getRunningTimer();
+        if (!running || running.date === AppState.getCurrentDateString()) {
+            banner.hidden = true;
+            return;
+        }
+        const overrun = TaskManager.isTimerOverrun(running.task) ? ' (longer than planned)' : '';
+        banner.innerHTML = `
+            <span>⏱️ Tracking "${this.escapeHtml(running.task.name)}" on ${DateUtil.formatDateDisplay(DateUtil.parseDate(running.date))} · ${this.formatTrackedTime(running.task)}${overrun}</span>
+            <button type="button" class="btn-secondary" data-action="show">Show day</button>
+            <button type="button" class="btn-secondary" data-action="stop">⏹️ Stop</button>
+        `;
+        banner.hidden = false;
+    },
+
+    // Render planned vs actual minutes of the week ending on the current day,
+    // per day and per category, with the over/under-run trend
+    renderPlanActual() {
+        const container = document.getElementById('planActual');
+        const { current, previous } = TimeReportManager.getTrend(AppState.getCurrentDateString());
+        if (current.tasks === 0) {
+            container.innerHTML = '<div class="settings-hint">Press ▶️ on a task to track how long it actually takes.</div>';
+            return;
+        }
+
+        const variance = TimeReportManager.getVariance(current);
+        const previousVariance = TimeReportManager.getVariance(previous);
+        const describe = value => value === 0 ? 'on plan' : `${Math.abs(value)}% ${value > 0 ? 'over' : 'under'} plan`;
+        const rows = (tallies, labelFn) => {
+            const max = Math.max(1, ...tallies.map(row => Math.max(row.tally.planned, row.tally.actual)));
+            return tallies.map(({ key, tally }) => {
+                const rowVariance = TimeReportManager.getVariance(tally);
+                const state = rowVariance > 0 ? 'over' : 'under';
+                return `
+                    <div class="bar-row">
+                        <span class="bar-label">${this.escapeHtml(labelFn(key))}</span>
+                        <div class="plan-actual-bars">
+                            <div class="bar-track"><div class="bar-fill plan-fill" style="width: ${Math.round((tally.planned / max) * 100)}%"></div></div>
+                            <div class="bar-track"><div class="bar-fill actual-fill ${state}" style="width: ${Math.round((tally.actual / max) * 100)}%"></div></div>
+                        </div>
+                        <span class="bar-value">${tally.tasks > 0 ? `${this.formatMinutes(tally.actual)} / ${this.formatMinutes(tally.planned)}` : '—'}
+                            ${rowVariance !== null && tally.tasks > 0 ? `<span class="variance ${state}">${this.formatVariance(rowVariance)}</span>` : ''}</span>
+                    </div>
+                `;
+            }).join('');
+        };
+
+        container.innerHTML = `
+            <h3>⏱️ Plan vs Actual <span class="settings-hint">last 7 days, timed tasks only</span></h3>
+            <p class="plan-actual-summary">
+                ${current.tasks} timed task(s): ${this.formatMinutes(current.actual)} actual vs ${this.formatMinutes(current.planned)} planned —
+                <strong class="variance ${variance > 0 ? 'over' : 'under'}">${describe(variance)}</strong>
+                ${previousVariance !== null ? `(previous 7 days: ${describe(previousVariance)}${variance < previousVariance ? ' ↘' : variance > previousVariance ? ' ↗' : ''})` : ''}
+            </p>
+            <div class="analytics-grid">
+                <div class="analytics-panel">
+                    <h4>Per Day</h4>
+                    ${rows(current.days.map(day => ({ key: day.date, tally: day })), date => `${DateUtil.getDayName(DateUtil.parseDate(date))} ${DateUtil.getDateString(DateUtil.parseDate(date))}`)}
+                </div>
+                <div class="analytics-panel">
+                    <h4>Per Category</h4>
+                    ${rows(Object.keys(current.categories).map(key => ({ key, tally: current.categories[key] })), key => CatalogManager.getLabel('taskCategories', key))}
+                </div>
+            </div>
+        `;
+    },
+
+    // Render compact progress bars for one subject's goals
+    renderGoalProgress(subject, containerId) {
+        const container = document.getElementById(containerId);
+        const goals = GoalManager.getGoalsFor(subject);
+
+        container.innerHTML = goals.map(goal => {
+            const progress = GoalManager.getProgress(goal);
+            const valueText = goal.metric === 'minutes' ? this.formatMinutes(progress.value) : progress.value;
+            return `
+                <div class="goal-progress ${progress.hit ? 'hit' : ''}">
+                    <div class="goal-progress-header">
+                        <span>🎯 ${this.escapeHtml(GoalManager.describe(goal))}</span>
+                        <span>${valueText} / ${goal.metric === 'minutes' ? this.formatMinutes(goal.target) : goal.target}${progress.hit ? ' ✅' : ''}</span>
+                    </div>
+                    <div class="bar-track">
+                        <div class="bar-fill" style="width: ${progress.percent}%"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    // Render the goals manager list with history
+    renderGoals() {
+        const container = document.getElementById('goalList');
+        const goals = GoalManager.updateHistory();
+
+        if (goals.length === 0) {
+            container.innerHTML = '<div class="empty-state">No goals yet. Add a weekly or monthly target above.</div>';
+            return;
+        }
+
+        container.innerHTML = goals.map(goal => {
+            const progress = GoalManager.getProgress(goal);
+            const hitRate = GoalManager.getHitRate(goal);
+            const recent = goal.history.slice(-12);
+            return `
+                <div class="topic-item">
+                    <div class="item-header">
+                        <div class="item-title">${this.escapeHtml(`${GoalManager.getSubjects()[goal.subject] || goal.subject} — ${GoalManager.describe(goal)}`)}</div>
+                        <div class="item-actions">
+                            <button class="btn-delete" data-goal-id="${this.escapeHtml(goal.id)}">🗑️</button>
+                        </div>
+                    </div>
+                    <div class="item-meta">
+                        <span class="meta-badge">📅 ${progress.start} – ${progress.end}</span>
+                        <span class="meta-badge">${progress.percent}% this ${goal.period}</span>
+                        <span class="meta-badge">🏆 Hit rate: ${hitRate.rate === null ? '—' : `${hitRate.rate}% (${hitRate.hits}/${hitRate.total})`}</span>
+                    </div>
+                    <div class="bar-track">
+                        <div class="bar-fill" style="width: ${progress.percent}%"></div>
+                    </div>
+                    ${recent.length > 0 ? `
+                        <div class="goal-history">
+                            ${recent.map(h => `<span class="goal-history-dot ${h.hit ? 'hit' : ''}" title="${h.start}: ${h.value}/${h.target}"></span>`).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.btn-delete').forEach(button => {
+            button.addEventListener('click', (e) => {
+                if (confirm('Delete this goal and its history?')) {
+                    GoalManager.deleteGoal(e.target.dataset.goalId);
+                    this.renderAllGoals();
+                }
+            });
+        });
+    },
+
+    // Render goal manager and every inline goal progress block
+    renderAllGoals() {
+        this.renderGoals();
+        TrackManager.getTracks().forEach(track => this.renderGoalProgress(track.id, `trackGoals-${track.id}`));
+        this.renderGoalProgress('category', 'categoryGoals');
+    },
+
+    // Show the filter options that fit the selected goal subject
+    updateGoalFormFilter() {
+        const subject = document.getElementById('goalSubject').value;
+        const filter = document.getElementById('goalFilter');
+        const track = TrackManager.getTrack(subject);
+        const filterField = track && TrackManager.getFilterField(track);
+        const options = subject === 'category'
+            ? CatalogManager.getNames('taskCategories', false)
+            : filterField ? TrackManager.getFieldOptions(filterField) : [];
+        filter.innerHTML = `<option value="">Any</option>${options.map(o => `<option value="${this.escapeHtml(o)}">${this.escapeHtml(o)}</option>`).join('')}`;
+        filter.disabled = subject !== 'category' && !filterField;
+    },
+
+    // Build a card for every active track. Cards are rebuilt only when track
+    // definitions change, so open forms survive ordinary re-renders.
+    renderTrackSections() {
+        const container = document.getElementById('trackSections');
+        const tracks = TrackManager.getTracks();
+        AppState.editingEntries = {};
+
+        if (tracks.length === 0) {
+            container.innerHTML = '<div class="subject-card"><div class="empty-state">No active study tracks. Add one in ⚙️ Settings.</div></div>';
+            return;
+        }
+
+        container.innerHTML = tracks.map(track => `
+            <div class="subject-card" data-track-id="${this.escapeHtml(track.id)}">
+                <div class="card-header">
+                    <h3>${this.escapeHtml(`${track.icon} ${track.name}`)}</h3>
+                    <button class="btn-toggle track-toggle">+ Add ${this.escapeHtml(track.entryLabel)}</button>
+                </div>
+
+                <div class="study-form track-form" style="display: none;">
+                    ${this.renderTrackFormFields(track)}
+                    <div class="form-actions">
+                        <button class="btn-primary btn-block track-save">💾 Save ${this.escapeHtml(track.entryLabel)}</button>
+                        <button class="btn-secondary track-focus" title="Time this ${this.escapeHtml(track.entryLabel.toLowerCase())} with the focus timer">⏱️ Start Focus</button>
+                    </div>
+                </div>
+
+                <div class="track-list ${TrackManager.getField(track, 'completed') ? 'activity-list' : 'topic-list'}"></div>
+                <div class="study-summary track-summary"></div>
+                <div id="trackGoals-${this.escapeHtml(track.id)}" class="goal-progress-list"></div>
+            </div>
+        `).join('');
+
+        tracks.forEach(track => this.fillTrackForm(track, null));
+        this.renderTracks();
+    },
+
+    // Form inputs for a track. Short fields (numbers, selects, status) are
+    // paired two per row; text fields get a row of their own.
+    renderTrackFormFields(track) {
+        const rows = [];
+        let pending = [];
+        const flush = () => {
+            if (pending.length > 0) {
+                rows.push(pending);
+                pending = [];
+            }
+        };
+
+        track.fields.forEach(field => {
+            if (field.type === 'text' || field.type === 'textarea') {
+                flush();
+                rows.push([field]);
+            } else {
+                pending.push(field);
+                if (pending.length === 2) flush();
+            }
+        });
+        flush();
+
+        const inputHtml = field => {
+            const id = this.escapeHtml(`track-${track.id}-${field.key}`);
+            const key = this.escapeHtml(field.key);
+            const placeholder = field.placeholder ? `placeholder="${this.escapeHtml(field.placeholder)}"` : '';
+            switch (field.type) {
+                case 'textarea':
+                    return `<textarea id="${id}" data-field="${key}" ${placeholder} rows="2"></textarea>`;
+                case 'number':
+                    return `<input type="number" id="${id}" data-field="${key}" ${placeholder} min="1" max="480">`;
+                case 'select':
+                    return `<select id="${id}" data-field="${key}"></select>`;
+                case 'status':
+                    return `
+                        <select id="${id}" data-field="${key}">
+                            <option value="true">✅ Completed</option>
+                            <option value="false">⏳ Planned</option>
+                        </select>
+                    `;
+                default:
+                    return `<input type="text" id="${id}" data-field="${key}" ${placeholder} ${field.required ? 'required' : ''}>`;
+            }
+        };
+
+        return rows.map(row => `
+            <div class="form-row">
+                ${row.map(field => `
+                    <div class="form-group">
+                        <label for="${this.escapeHtml(`track-${track.id}-${field.key}`)}">${this.escapeHtml(field.label)}</label>
+                        ${inputHtml(field)}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    },
+
+    // Get the card element of a track
+    getTrackCard(trackId) {
+        return document.querySelector(`#trackSections [data-track-id="${CSS.escape(trackId)}"]`);
+    },
+
+    // Fill a track's form from an entry, or reset it to defaults
+    fillTrackForm(track, entry) {
+        const form = this.getTrackCard(track.id).querySelector('.track-form');
+        track.fields.forEach(field => {
+            const input = form.querySelector(`[data-field="${CSS.escape(field.key)}"]`);
+            const value = entry ? entry[field.key] : null;
+            if (field.type === 'select') {
+                const selected = value || TrackManager.getFieldDefault(field);
+                this.fillSelect(input, TrackManager.getFieldOptions(field), selected,
+                    name => field.catalog ? CatalogManager.getLabel(field.catalog, name) : name);
+            } else if (field.type === 'status') {
+                input.value = entry ? String(!!entry.completed) : 'true';
+            } else {
+                input.value = value || '';
+            }
+        });
+    },
+
+    // Read a track's form into plain values keyed by field
+    readTrackForm(trackId) {
+        const values = {};
+        this.getTrackCard(trackId).querySelectorAll('.track-form [data-field]').forEach(input => {
+            values[input.dataset.field] = input.value;
+        });
+        return values;
+    },
+
+    // Open a track's form, filled from an entry when editing
+    openTrackForm(trackId, entry = null) {
+        const track = TrackManager.getTrack(trackId);
+        const card = this.getTrackCard(trackId);
+        AppState.editingEntries[trackId] = entry ? entry.id : null;
+        this.fillTrackForm(track, entry);
+        card.querySelector('.track-save').textContent = `💾 ${entry ? 'Update' : 'Save'} ${track.entryLabel}`;
+
+        card.querySelector('.track-form').style.display = 'block';
+        const button = card.querySelector('.track-toggle');
+        button.textContent = '- Close Form';
+        button.classList.add('active');
+        card.querySelector('.track-form [data-field]').focus();
+    },
+
+    // Close and reset a track's form
+    closeTrackForm(trackId) {
+        const track = TrackManager.getTrack(trackId);
+        const card = this.getTrackCard(trackId);
+        delete AppState.editingEntries[trackId];
+        this.fillTrackForm(track, null);
+        card.querySelector('.track-save').textContent = `💾 Save ${track.entryLabel}`;
+
+        card.querySelector('.track-form').style.display = 'none';
+        const button = card.querySelector('.track-toggle');
+        button.textContent = `+ Add ${track.entryLabel}`;
+        button.classList.remove('active');
+    },
+
+    // Render every active track's list, summary and goals
+    renderTracks() {
+        TrackManager.getTracks().forEach(track => this.renderTrack(track.id));
+        this.renderDSAnalytics();
+    },
+
+    // Render one track's entries, summary and goal progress
+    renderTrack(trackId) {
+        const track = TrackManager.getTrack(trackId);
+        const card = this.getTrackCard(trackId);
+        if (!track || !card) return;
+
+        const container = card.querySelector('.track-list');
+        const hasStatus = !!TrackManager.getField(track, 'completed');
+        const titleField = TrackManager.getField(track, track.titleField);
+
+        container.innerHTML = TrackManager.getEntries(trackId).map(entry => {
+            const id = this.escapeHtml(entry.id);
+            const statusIcon = entry.completed ? '✅' : '⏳';
+            const title = titleField && titleField.catalog
+                ? CatalogManager.getLabel(titleField.catalog, entry[track.titleField])
+                : entry[track.titleField] || track.name;
+            const color = titleField && titleField.catalog && (!hasStatus || entry.completed)
+                ? CatalogManager.getColor(titleField.catalog, entry[track.titleField])
+                : '';
+
+            const badges = track.fields.filter(field => field.key !== track.titleField).map(field => {
+                const value = entry[field.key];
+                if (field.type === 'number' && value) {
+                    return `<span class="meta-badge">⏱️ ${this.escapeHtml(value)} min</span>`;
+                }
+                if (field.type === 'status') {
+                    return `<span class="meta-badge">${entry.completed ? 'Completed' : 'Planned'}</span>`;
+                }
+                if (field.type === 'select' && value) {
+                    return field.catalog
+                        ? `<span class="meta-badge" style="${this.getBadgeStyle(CatalogManager.getColor(field.catalog, value))}">${this.escapeHtml(CatalogManager.getLabel(field.catalog, value))}</span>`
+                        : `<span class="meta-badge">${this.escapeHtml(`${field.label}: ${value}`)}</span>`;
+                }
+                return '';
+            }).join('');
+
+            const notes = track.fields
+                .filter(field => field.key !== track.titleField && (field.type === 'text' || field.type === 'textarea') && entry[field.key])
+                .map(field => `<div class="item-notes">${this.escapeHtml(field.icon || (field.type === 'textarea' ? '💡' : '📝'))} ${field.type === 'textarea' ? this.formatNotes(entry[field.key]) : this.escapeHtml(entry[field.key])}</div>`)
+                .join('');
+
+            return `
+                <div class="${hasStatus ? `activity-item ${entry.completed ? 'completed' : 'planned'}` : 'topic-item'}" data-entry-id="${id}" ${color ? `style="border-left-color: ${color}"` : ''}>
+                    <div class="item-header">
+                        <div class="item-title">
+                            ${hasStatus ? `<button class="status-toggle" data-entry-id="${id}" title="Mark as ${entry.completed ? 'planned' : 'completed'}">${statusIcon}</button>` : ''}
+                            ${this.escapeHtml(title)}
+                        </div>
+                        <div class="item-actions">
+                            <button class="btn-edit" data-entry-id="${id}" title="Edit ${this.escapeHtml(track.entryLabel.toLowerCase())}">✏️</button>
+                            <button class="btn-delete" data-entry-id="${id}">🗑️</button>
+                        </div>
+                    </div>
+                    <div class="item-meta">${badges}</div>
+                    ${notes}
+                </div>
+            `;
+        }).join('');
+
+        this.renderTrackSummary(track, card.querySelector('.track-summary'));
+        this.renderGoalProgress(trackId, `trackGoals-${trackId}`);
+    },
+
+    // Render today's summary and this week's daily stats for a track
+    renderTrackSummary(track, container) {
+        const summary = TrackManager.getSummary(track.id);
+        const week = TrackManager.getWeekStats(track.id, AppState.currentDate);
+        const hasStatus = !!TrackManager.getField(track, 'completed');
+        const hasDuration = !!TrackManager.getField(track, 'duration');
+        const valueOf = day => hasDuration ? day.minutes : day.count;
+        const weekTotal = week.reduce((sum, day) => sum + valueOf(day), 0);
+
+        if (summary.total === 0 && weekTotal === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const todayHtml = summary.total === 0 ? '' : `
+            <h4>📈 Today's ${this.escapeHtml(track.name)} Summary</h4>
+            <div class="summary-stats">
+                <div class="summary-stat">
+                    <div class="summary-stat-value">${hasStatus ? `${summary.completed}/${summary.total}` : summary.total}</div>
+                    <div class="summary-stat-label">${hasStatus ? 'Completed' : 'Sessions'}</div>
+                </div>
+                ${hasDuration ? `
+                    <div class="summary-stat">
+                        <div class="summary-stat-value">${this.formatMinutes(summary.minutes)}</div>
+                        <div class="summary-stat-label">Study Time</div>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        const max = Math.max(...week.map(valueOf), 1);
+        const today = AppState.getCurrentDateString();
+        const weekHtml = `
+            <h4>📅 This Week · ${hasDuration ? this.formatMinutes(weekTotal) : `${weekTotal} done`}</h4>
+            <div class="track-week">
+                ${week.map(day => `
+                    <div class="track-week-day ${day.date === today ? 'current' : ''}" title="${day.date}: ${day.count} done${hasDuration ? `, ${day.minutes} min` : ''}">
+                        <div class="track-week-bar"><div class="bar-fill" style="height: ${Math.round((valueOf(day) / max) * 100)}%"></div></div>
+                        <span class="track-week-label">${DateUtil.getDayName(DateUtil.parseDate(day.date))}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        container.innerHTML = todayHtml + weekHtml;
+    },
+
+    // Render cross-day Data Science analytics for the selected range.
+    // Stats load asynchronously; results for an outdated range are dropped.
+    renderDSAnalytics() {
+        const container = document.getElementById('dsAnalytics');
+        const fromDate = document.getElementById('analyticsFrom').value;
+        const toDate = document.getElementById('analyticsTo').value;
+        const token = this.analyticsToken = (this.analyticsToken || 0) + 1;
+
+        if (!fromDate || !toDate || fromDate > toDate) {
+            container.innerHTML = '<div class="empty-state">Choose a valid date range.</div>';
+            return;
+        }
+
+        AnalyticsManager.getDSStats(fromDate, toDate)
+            .then(stats => {
+                if (token === this.analyticsToken) {
+                    this.renderDSStats(container, stats);
+                }
+            })
+            .catch(error => {
+                console.error('Failed to load analytics', error);
+                container.innerHTML = '<div class="empty-state">Analytics could not be loaded.</div>';
+            });
+    },
+
+    // Render computed DS statistics into the analytics container
+    renderDSStats(container, stats) {
+        if (stats.totalSessions === 0) {
+            container.innerHTML = '<div class="empty-state">No Data Science sessions in this range.</div>';
+            return;
+        }
+
+        const periodRows = (periods, labelFn) => Object.keys(periods).sort().map(key => ({
+            label: labelFn(key),
+            value: periods[key],
+            display: this.formatMinutes(periods[key])
+        }));
+        const groupRows = groups => Object.keys(groups)
+            .filter(key => groups[key].sessions > 0)
+            .map(key => ({
+                label: key,
+                value: groups[key].minutes,
+                display: `${this.formatMinutes(groups[key].minutes)} · ${groups[key].sessions}×`
+            }));
+        const monthLabel = key => DateUtil.parseDate(`${key}-01`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+
+        container.innerHTML = `
+            <div class="progress-stats">
+                <div class="stat-item">
+                    <span class="stat-label">Sessions</span>
+                    <span class="stat-value">${stats.totalSessions}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Study Time</span>
+                    <span class="stat-value">${this.formatMinutes(stats.totalMinutes)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Active Days</span>
+                    <span class="stat-value">${stats.activeDays}</span>
+                </div>
+            </div>
+            <div class="analytics-grid">
+                <div class="analytics-panel">
+                    <h4>Minutes per Week</h4>
+                    ${this.renderBars(periodRows(stats.byWeek, key => `Wk ${DateUtil.getDateString(DateUtil.parseDate(key))}`))}
+                </div>
+                <div class="analytics-panel">
+                    <h4>Minutes per Month</h4>
+                    ${this.renderBars(periodRows(stats.byMonth, monthLabel))}
+                </div>
+                <div class="analytics-panel">
+                    <h4>Difficulty Mix</h4>
+                    ${this.renderBars(groupRows(stats.byDifficulty))}
+                </div>
+                <div class="analytics-panel">
+                    <h4>Resource Types</h4>
+                    ${this.renderBars(groupRows(stats.byResource))}
+                </div>
+                <div class="analytics-panel">
+                    <h4>Most-Studied Topics</h4>
+                    ${this.renderBars(stats.topTopics.map(t => ({
+                        label: t.topic,
+                        value: t.minutes,
+                        display: `${this.formatMinutes(t.minutes)} · ${t.sessions}×`
+                    })))}
+                </div>
+            </div>
+        `;
+    },
+
+    // Set the analytics range to the last N days ending on the current date
+    setAnalyticsRange(days) {
+        document.getElementById('analyticsTo').value = AppState.getCurrentDateString();
+        document.getElementById('analyticsFrom').value = DateUtil.formatDate(DateUtil.addDays(AppState.currentDate, 1 - days));
+        this.renderDSAnalytics();
+    },
+
+    // Render weekly overview
+    renderWeeklyOverview() {
+        const container = document.getElementById('weeklyStats');
+        const startOfWeek = DateUtil.getStartOfWeek(AppState.currentDate);
+        
+        let html = '';
+        for (let i = 0; i < 7; i++) {
+            const date = DateUtil.addDays(startOfWeek, i);
+            const dateString = DateUtil.formatDate(date);
+            const data = StorageManager.getDateData(dateString);
+            
+            const total = data.tasks.length;
+            const completed = data.tasks.filter(t => t.completed).length;
+            const rate = total > 0 ? Math.round((completed / total) * 100) : 0;
+            
+            html += `
+                <div class="day-card${dateString === AppState.getCurrentDateString() ? ' selected' : ''}"
+                    data-date="${dateString}" role="button" tabindex="0">
+                    <div class="day-name">${DateUtil.getDayName(date)}</div>
+                    <div class="day-date">${DateUtil.getDateString(date)}</div>
+                    <div class="day-completion">${rate}%</div>
+                </div>
+            `;
+        }
+        
+        container.innerHTML = html;
+    },
+
+    // Render the day template list and the apply form's template options
+    renderTemplates() {
+        const templates = TemplateManager.getTemplates();
+        const select = document.getElementById('templateSelect');
+        const selected = select.value;
+        select.innerHTML = templates.map(t => `<option value="${this.escapeHtml(t.id)}">${this.escapeHtml(t.name)}</option>`).join('');
+        if (templates.some(t => t.id === selected)) {
+            select.value = selected;
+        }
+        document.getElementById('applyTemplate').disabled = templates.length === 0;
+
+        const container = document.getElementById('templateList');
+        if (templates.length === 0) {
+            container.innerHTML = '<div class="empty-state">No templates yet. Save this day as a template or create one by hand.</div>';
+            return;
+        }
+
+        container.innerHTML = templates.map(template => {
+            const minutes = template.tasks.reduce((sum, block) =>
+                sum + TimeUtil.toMinutes(block.endTime) - TimeUtil.toMinutes(block.startTime), 0);
+            return `
+                <div class="topic-item" data-template-id="${this.escapeHtml(template.id)}">
+                    <div class="item-header">
+                        <div class="item-title">📋 ${this.escapeHtml(template.name)}</div>
+                        <div class="item-actions">
+                            <button class="btn-edit" title="Edit template">✏️</button>
+                            <button class="btn-delete" title="Delete template">🗑️</button>
+                        </div>
+                    </div>
+                    <div class="item-meta">
+                        <span class="meta-badge">${template.tasks.length} block(s)</span>
+                        <span class="meta-badge">⏱️ ${this.formatMinutes(minutes)}</span>
+                        <span class="meta-badge">🕘 ${template.tasks[0].startTime} – ${template.tasks[template.tasks.length - 1].endTime}</span>
+                    </div>
+                    <div class="template-blocks">
+                        ${template.tasks.map(block => `
+                            <span class="template-block" style="${this.getBadgeStyle(CatalogManager.getColor('taskCategories', block.category))}">
+                                ${block.startTime} ${this.escapeHtml(block.name)}
+                            </span>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    // Open the template editor, optionally for an existing template or prefilled blocks
+    openTemplateEditor(template = null, blocks = null) {
+        this.editingTemplateId = template ? template.id : null;
+        document.getElementById('templateEditorTitle').textContent = template ? 'Edit Template' : 'New Template';
+        document.getElementById('templateName').value = template ? template.name : '';
+        document.getElementById('templateBlocks').value = TemplateManager.formatBlocks(blocks || (template ? template.tasks : []));
+        document.getElementById('templateEditor').style.display = 'block';
+        document.getElementById('templateName').focus();
+    },
+
+    // Close the template editor
+    closeTemplateEditor() {
+        this.editingTemplateId = null;
+        document.getElementById('templateEditor').style.display = 'none';
+    },
+
+    // Render result of applying a template
+    renderTemplateReport(report) {
+        document.getElementById('templateReport').innerHTML = `
+            <div class="item-meta">
+                <span class="meta-badge">📅 ${report.days} day(s)</span>
+                <span class="meta-badge">➕ ${report.added} block(s) added</span>
+                <span class="meta-badge">✔️ ${report.duplicates} already there</span>
+                <span class="meta-badge">⏭️ ${report.skipped} skipped (overlap)</span>
+            </div>
+        `;
+    },
+
+    // Escape text and wrap every occurrence of the query words in <mark>
+    highlightText(text, query) {
+        const words = query.split(/\s+/).filter(Boolean).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (words.length === 0) return this.escapeHtml(text);
+        const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+        return String(text).split(pattern)
+            .map((part, i) => (i % 2 === 1 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part)))
+            .join('');
+    },
+
+    // Show filter selects that fit the chosen search type: task category, or
+    // the select fields (difficulty, resource, activity type, …) of a track
+    renderSearchFilters() {
+        const type = document.getElementById('searchType').value;
+        const container = document.getElementById('searchFieldFilters');
+        const track = TrackManager.getTrack(type);
+        const filters = type === 'tasks'
+            ? [{ key: 'category', label: 'Category', options: CatalogManager.getNames('taskCategories') }]
+            : track ? track.fields.filter(field => field.type === 'select')
+                .map(field => ({ key: field.key, label: field.label, options: TrackManager.getFieldOptions(field) }))
+                : [];
+
+        container.innerHTML = filters.map(filter => `
+            <div class="form-group">
+                <label for="searchField-${filter.key}">${this.escapeHtml(filter.label)}</label>
+                <select id="searchField-${filter.key}" data-field="${filter.key}">
+                    <option value="">Any</option>
+                    ${filter.options.map(option => `<option value="${this.escapeHtml(option)}">${this.escapeHtml(option)}</option>`).join('')}
+                </select>
+            </div>
+        `).join('');
+    },
+
+    // Run the search with the panel's query and filters and render the results.
+    // Results arrive asynchronously; those of an outdated search are dropped.
+    renderSearch() {
+        const query = document.getElementById('searchQuery').value.trim();
+        const type = document.getElementById('searchType').value;
+        const container = document.getElementById('searchResults');
+        const token = this.searchToken = (this.searchToken || 0) + 1;
+        const fields = {};
+        document.querySelectorAll('#searchFieldFilters [data-field]').forEach(select => {
+            fields[select.dataset.field] = select.value;
+        });
+        const filters = {
+            type: type === 'tasks' ? 'task' : type,
+            from: document.getElementById('searchFrom').value,
+            to: document.getElementById('searchTo').value,
+            status: document.getElementById('searchStatus').value,
+            fields
+        };
+        const filtered = filters.from || filters.to || filters.status || Object.values(fields).some(Boolean);
+
+        if (!query && !filtered) {
+            container.innerHTML = '<div class="empty-state">Type to search every day, or pick a filter.</div>';
+            return;
+        }
+
+        SearchManager.search(query, filters)
+            .then(({ results, total }) => {
+                if (token !== this.searchToken) return;
+                if (total === 0) {
+                    container.innerHTML = '<div class="empty-state">No matches.</div>';
+                    return;
+                }
+                container.innerHTML = `
+                    <div class="settings-hint">${total > results.length ? `Showing the newest ${results.length} of ${total} matches.` : `${total} match(es).`}</div>
+                    ${results.map(record => this.renderSearchResult(record, query)).join('')}
+                `;
+            })
+            .catch(error => {
+                console.error('Search failed', error);
+                container.innerHTML = '<div class="empty-state">Search failed.</div>';
+            });
+    },
+
+    // Render one search result
+    renderSearchResult(record, query) {
+        const date = DateUtil.parseDate(record.date);
+        const track = record.type === 'task' ? null : TrackManager.getTrack(record.type);
+        const title = track ? TrackManager.getEntryTitle(track, record.item) : record.item.name;
+        const details = track
+            ? track.fields
+                .filter(field => field.type === 'textarea' && record.item[field.key])
+                .map(field => this.highlightText(record.item[field.key], query))
+            : [];
+        const meta = track
+            ? track.fields.filter(field => field.type === 'select' && record.item[field.key]).map(field => record.item[field.key])
+            : [`${record.item.startTime} - ${record.item.endTime}`, record.item.category];
+
+        return `
+            <button type="button" class="search-result ${SearchManager.isCompleted(record) ? 'completed' : ''}"
+                data-date="${record.date}" data-type="${this.escapeHtml(record.type)}" data-id="${this.escapeHtml(record.item.id)}">
+                <span class="search-result-date">${DateUtil.getDayName(date)} ${record.date}</span>
+                <span class="search-result-title">${track ? this.escapeHtml(track.icon) : '📅'} ${this.highlightText(title, query)}</span>
+                <span class="search-result-meta">${meta.map(value => this.escapeHtml(value)).join(' · ')}</span>
+                ${details.map(detail => `<span class="search-result-detail">${detail}</span>`).join('')}
+            </button>
+        `;
+    },
+
+    // Scroll to a task or track entry on the current day and flash it
+    highlightItem(type, id) {
+        const selector = type === 'task'
+            ? `#timetableList .timetable-item[data-task-id="${CSS.escape(id)}"]`
+            : `#trackSections [data-track-id="${CSS.escape(type)}"] [data-entry-id="${CSS.escape(id)}"]`;
+        const element = document.querySelector(selector);
+        if (!element) return;
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('search-highlight');
+        setTimeout(() => element.classList.remove('search-highlight'), 2500);
+    },
+
+    // Render result of a CSV import
+    renderCsvReport(report) {
+        document.getElementById('csvReport').innerHTML = `
+            <div class="item-meta">
+                <span class="meta-badge">📄 ${this.escapeHtml(CsvManager.getDatasets()[report.dataset])}</span>
+                <span class="meta-badge">➕ ${report.added} row(s) added</span>
+                <span class="meta-badge">✔️ ${report.duplicates} already there</span>
+                <span class="meta-badge">⏭️ ${report.skipped} skipped</span>
+            </div>
+            ${report.messages.length > 0 ? `
+                <div class="item-notes">
+                    <ul class="conflict-list">
+                        ${report.messages.map(message => `<li>${this.escapeHtml(message)}</li>`).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+        `;
+    },
+
+    // Render result of an .ics import
+    renderIcsReport(report) {
+        const container = document.getElementById('icsReport');
+        container.innerHTML = `
+            <div class="item-meta">
+                <span class="meta-badge">➕ ${report.tasks} task(s)</span>
+                <span class="meta-badge">🔁 ${report.rules} recurring</span>
+                ${report.occurrences > 0 ? `<span class="meta-badge">✏️ ${report.occurrences} changed occurrence(s)</span>` : ''}
+                <span class="meta-badge">✔️ ${report.duplicates} already imported</span>
+                <span class="meta-badge">⏭️ ${report.skipped} skipped</span>
+            </div>
+            ${report.messages.length > 0 ? `
+                <div class="item-notes">
+                    <ul class="conflict-list">
+                        ${report.messages.map(message => `<li>${this.escapeHtml(message)}</li>`).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+        `;
+    },
+
+    // Show the latest storage failure, if any, in the storage banner
+    renderStorageProblem() {
+        const banner = document.getElementById('storageBanner');
+        banner.hidden = !StorageManager.problem;
+        document.getElementById('storageBannerText').textContent = `⚠️ ${StorageManager.problem || ''}`;
+    },
+
+    // Render quarantined records with restore, download and discard actions
+    renderRecovery() {
+        const container = document.getElementById('recoveryList');
+        const items = QuarantineManager.getItems();
+
+        document.getElementById('storageInfo').textContent =
+            `💽 Stored in ${StorageManager.backend.name} · ${StorageManager.getAllDates().length} day(s)` +
+            (StorageManager.problem ? ` · ⚠️ ${StorageManager.problem}` : '');
+
+        if (items.length === 0) {
+            container.innerHTML = '<div class="empty-state">✅ All stored data loaded without problems.</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="item-notes">⚠️ ${items.length} record(s) could not be loaded and were set aside. Fix the JSON and restore it, download it, or discard it.</div>
+            ${items.map(item => `
+                <div class="topic-item recovery-item" data-quarantine-id="${this.escapeHtml(item.id)}">
+                    <div class="item-header">
+                        <div class="item-title">${this.escapeHtml(item.source)}${item.collection ? ` · ${this.escapeHtml(item.collection)}` : ''}</div>
+                    </div>
+                    <div class="item-meta">
+                        <span class="meta-badge">⚠️ ${this.escapeHtml(item.reason)}</span>
+                        <span class="meta-badge">🕒 ${new Date(item.quarantinedAt).toLocaleString()}</span>
+                    </div>
+                    <textarea class="recovery-raw" rows="3" aria-label="Raw data"></textarea>
+                    <div class="form-actions">
+                        <button class="btn-primary recovery-restore">♻️ Restore</button>
+                        <button class="btn-secondary recovery-download">⬇️ Download</button>
+                        <button class="btn-secondary recovery-discard">🗑️ Discard</button>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+
+        // Raw text is set as a value, never parsed as HTML
+        container.querySelectorAll('.recovery-raw').forEach((textarea, index) => {
+            textarea.value = items[index].raw;
+        });
+    },
+
+    // Render result of a backup import
+    renderBackupReport(report) {
+        const container = document.getElementById('backupReport');
+        const conflictsHtml = report.conflicts.length === 0 ? '' : `
+            <div class="item-notes">
+                ⚠️ ${report.conflicts.length} conflict(s) — kept ${report.conflicts[0].resolution === 'imported' ? 'backup' : 'local'} version:
+                <ul class="conflict-list">
+                    ${report.conflicts.map(c => `<li>${this.escapeHtml(`${c.date} · ${c.collection} · ${c.id}`)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+
+        container.innerHTML = `
+            <div class="item-meta">
+                <span class="meta-badge">${report.mode === 'replace' ? 'Replaced' : 'Merged'} ${report.days} day(s)</span>
+                <span class="meta-badge">➕ ${report.added} added</span>
+                <span class="meta-badge">🔄 ${report.updated} updated</span>
+                <span class="meta-badge">✔️ ${report.unchanged} unchanged</span>
+                ${report.skippedTemplates > 0 ? `<span class="meta-badge">⏭️ ${report.skippedTemplates} invalid template(s) skipped</span>` : ''}
+            </div>
+            ${conflictsHtml}
+        `;
+    },
+
+    // Render the focus timer panel
+    renderFocusTimer() {
+        const container = document.getElementById('focusTimer');
+        const state = FocusTimer.getState();
+        const settings = StorageManager.getSettings();
+
+        if (!state) {
+            container.className = 'focus-timer idle';
+            container.innerHTML = `
+                <div class="focus-settings">
+                    <span class="focus-label">⏱️ Focus Timer</span>
+                    <label>Work <input type="number" id="focusWorkMinutes" min="1" max="180" value="${settings.focusWorkMinutes}"> min</label>
+                    <label>Break <input type="number" id="focusBreakMinutes" min="1" max="60" value="${settings.focusBreakMinutes}"> min</label>
+                    <button class="btn-toggle" id="focusStartFree">▶ Start</button>
+                </div>
+            `;
+            return;
+        }
+
+        const phaseText = { work: '🎯 Focus', break: '☕ Break', ready: '✅ Break over' }[state.phase];
+        const logOptions = TrackManager.getTracks()
+            .map(track => [track.id, `${track.icon} ${track.name} ${track.entryLabel.toLowerCase()}`])
+            .concat([['none', "Don't log"]]);
+
+        container.className = `focus-timer ${state.phase}${state.pausedAt ? ' paused' : ''}`;
+        container.innerHTML = `
+            <div class="focus-status">
+                <span class="focus-label">${phaseText}${state.pausedAt ? ' (paused)' : ''} · ${this.escapeHtml(state.target.label)}</span>
+                <span class="focus-clock">${this.formatFocusClock(state)}</span>
+                <span class="focus-meta">${this.formatFocusMeta(state)}</span>
+            </div>
+            <div class="focus-options">
+                <select id="focusLogAs" aria-label="Log as">
+                    ${logOptions.map(([value, label]) => `<option value="${this.escapeHtml(value)}" ${state.logAs === value ? 'selected' : ''}>${this.escapeHtml(label)}</option>`).join('')}
+                </select>
+                ${state.target.type === 'task' ? `
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="focusCompleteTask" ${state.completeTask ? 'checked' : ''}>
+                        <span>Mark task completed</span>
+                    </label>
+                ` : ''}
+            </div>
+            <div class="focus-actions">
+                ${state.phase === 'ready' || state.phase === 'break'
+                    ? '<button class="btn-toggle" id="focusNextRound">▶ Next round</button>'
+                    : ''}
+                ${state.phase !== 'ready'
+                    ? `<button class="btn-toggle" id="focusPause">${state.pausedAt ? '▶ Resume' : '⏸ Pause'}</button>`
+                    : ''}
+                <button class="btn-primary" id="focusFinish">💾 Finish &amp; Log</button>
+                <button class="btn-secondary" id="focusDiscard">Discard</button>
+            </div>
+        `;
+    },
+
+    // Format the focus timer's countdown, e.g. "24:59"
+    formatFocusClock(state) {
+        if (state.phase === 'ready') return '--:--';
+        const remaining = Math.ceil(FocusTimer.getRemainingMs(state) / 1000);
+        return `${String(Math.floor(remaining / 60)).padStart(2, '0')}:${String(remaining % 60).padStart(2, '0')}`;
+    },
+
+    // Format the focus timer's focused minutes, rounds and date
+    formatFocusMeta(state) {
+        const focusedMinutes = Math.floor(FocusTimer.getFocusedMs(state) / 60000);
+        return `${focusedMinutes} min focused · ${state.rounds} round${state.rounds === 1 ? '' : 's'} · ${state.target.date}`;
+    },
+
+    // Update only the countdown and focused time of the focus timer panel
+    renderFocusClock(state) {
+        const container = document.getElementById('focusTimer');
+        const clock = container.querySelector('.focus-clock');
+        const meta = container.querySelector('.focus-meta');
+        if (!clock || !meta) {
+            this.renderFocusTimer();
+            return;
+        }
+        clock.textContent = this.formatFocusClock(state);
+        meta.textContent = this.formatFocusMeta(state);
+    },
+
+    // Render streak counters and the year-long heatmap
+    renderStreaks() {
+        const days = StreakManager.evaluateAllDays();
+        const today = DateUtil.formatDate(new Date());
+        const streaks = StreakManager.getStreaks(today, days);
+
+        const metrics = StreakManager.getMetrics();
+        document.getElementById('streakCards').innerHTML = Object.keys(metrics).map(metric => `
+            <div class="stat-item">
+                <span class="stat-label">${this.escapeHtml(metrics[metric])}</span>
+                <span class="stat-value">🔥 ${streaks[metric].current}</span>
+                <span class="stat-label">Longest: ${streaks[metric].longest} day${streaks[metric].longest === 1 ? '' : 's'}</span>
+            </div>
+        `).join('');
+
+        // 53 weeks ending with the current week, columns Monday → Sunday
+        const metric = document.getElementById('heatmapMetric').value;
+        const start = DateUtil.addDays(DateUtil.getStartOfWeek(new Date()), -52 * 7);
+        let cells = '';
+        for (let i = 0; i < 53 * 7; i++) {
+            const date = DateUtil.formatDate(DateUtil.addDays(start, i));
+            const level = date > today ? -1 : StreakManager.getLevel(days[date], metric);
+            cells += level < 0
+                ? '<div class="heatmap-cell future"></div>'
+                : `<div class="heatmap-cell level-${level}" title="${date}" data-date="${date}"></div>`;
+        }
+        document.getElementById('heatmap').innerHTML = cells;
+    },
+
+    // Render the review panel, loading today's due cards
+    renderReview() {
+        this.reviewQueue = ReviewManager.getDueCards();
+        this.reviewRevealed = false;
+        this.renderReviewCard();
+    },
+
+    // Render the card at the front of the review queue
+    renderReviewCard() {
+        const container = document.getElementById('reviewCard');
+        const queue = this.reviewQueue || [];
+        document.getElementById('reviewDueCount').textContent = `${queue.length} due`;
+
+        if (queue.length === 0) {
+            container.innerHTML = '<div class="empty-state">🎉 Nothing to review today.<br>Notes from your study tracks appear here the day after you log them.</div>';
+            return;
+        }
+
+        const card = queue[0];
+        const answerHtml = this.reviewRevealed ? `
+            <div class="item-notes review-answer">${this.formatNotes(card.back)}</div>
+            <div class="review-grades">
+                ${ReviewManager.GRADES.map(g => `<button class="btn-secondary" data-grade="${g.value}">${g.label}</button>`).join('')}
+            </div>
+        ` : '<button class="btn-primary btn-block" id="revealReview">Show Notes</button>';
+
+        container.innerHTML = `
+            <div class="topic-item review-item">
+                <div class="item-header">
+                    <div class="item-title">${this.escapeHtml(card.front)}</div>
+                </div>
+                <div class="item-meta">
+                    <span class="meta-badge">📅 Logged ${card.date}</span>
+                    <span class="meta-badge">🔁 ${card.review.repetitions} review${card.review.repetitions === 1 ? '' : 's'}</span>
+                </div>
+                ${answerHtml}
+            </div>
+        `;
+
+        const revealButton = document.getElementById('revealReview');
+        if (revealButton) {
+            revealButton.addEventListener('click', () => {
+                this.reviewRevealed = true;
+                this.renderReviewCard();
+            });
+        }
+
+        container.querySelectorAll('[data-grade]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const grade = parseInt(e.target.dataset.grade);
+                const review = ReviewManager.gradeCard(card, grade);
+                this.reviewQueue.shift();
+                // Cards graded "Again" come back later in the same session
+                if (review && grade < 3) {
+                    this.reviewQueue.push(Object.assign({}, card, { review }));
+                }
+                this.reviewRevealed = false;
+                this.renderReviewCard();
+            });
+        });
+    },
+
+    // Open modal for adding new task
+    openAddTaskModal() {
+        AppState.editingTaskId = null;
+        document.getElementById('modalTitle').textContent = 'Add Task';
+        document.getElementById('taskForm').reset();
+        this.populateCatalogSelect('taskCategory', 'taskCategories');
+        this.showTaskValidation(null);
+        this.fillRecurrenceForm(null);
+        document.getElementById('recurringGroup').style.display = 'block';
+        document.getElementById('taskModal').classList.add('active');
+    },
+
+    // Show a validation message in the task modal (or clear it)
+    showTaskValidation(message, isError) {
+        const container = document.getElementById('taskValidation');
+        container.innerHTML = message || '';
+        container.className = message ? `task-validation ${isError ? 'error' : 'warning'}` : 'task-validation';
+    },
+
+    // Dates a new or edited task would occupy, based on the recurrence form
+    getTaskFormDates() {
+        const date = AppState.getCurrentDateString();
+        const recurrence = this.readRecurrenceForm();
+        if (!recurrence) return [date];
+        // Check the first four weeks of a repeating task
+        return RecurrenceManager.getOccurrenceDates(recurrence, date, 28);
+    },
+
+    // Fill the modal's time inputs with the next free window of the chosen length
+    fillFreeSlot() {
+        const duration = parseInt(document.getElementById('slotDuration').value) || 60;
+        const dates = this.getTaskFormDates();
+        const editingTask = AppState.editingTaskId ? TaskManager.getTask(AppState.editingTaskId) : null;
+        const isToday = AppState.getCurrentDateString() === DateUtil.formatDate(new Date());
+        const notBefore = isToday ? TimeUtil.fromMinutes(Math.ceil((new Date().getHours() * 60 + new Date().getMinutes()) / 5) * 5) : null;
+
+        const slot = TaskManager.findSlot(duration, dates, notBefore, editingTask);
+        if (!slot) {
+            this.showTaskValidation(`No free ${this.formatMinutes(duration)} window${dates.length > 1 ? ` across ${dates.length} days` : ''}.`, true);
+            return;
+        }
+        document.getElementById('taskTime').value = slot.startTime;
+        document.getElementById('taskEndTime').value = slot.endTime;
+        this.showTaskValidation(`Found ${slot.startTime} - ${slot.endTime}${dates.length > 1 ? ` free on all ${dates.length} days` : ''}.`, false);
+    },
+
+    // Fill recurrence fields from a rule, or reset them when rule is null
+    fillRecurrenceForm(rule) {
+        document.getElementById('taskRecurring').checked = !!rule;
+        document.getElementById('recurrenceFrequency').value = rule ? rule.frequency : 'daily';
+        document.getElementById('recurrenceInterval').value = rule ? rule.interval : 2;
+        document.querySelectorAll('input[name="recurrenceWeekday"]').forEach(checkbox => {
+            checkbox.checked = rule ? rule.weekdays.includes(Number(checkbox.value)) : false;
+        });
+        document.getElementById('recurrenceEnd').value = rule && rule.until ? 'until' : rule && rule.count ? 'count' : 'never';
+        document.getElementById('recurrenceUntil').value = rule && rule.until ? rule.until : '';
+        document.getElementById('recurrenceCount').value = rule && rule.count ? rule.count : 10;
+        this.updateRecurrenceFormVisibility();
+    },
+
+    // Show only the recurrence inputs relevant to the current selections
+    updateRecurrenceFormVisibility() {
+        const frequency = document.getElementById('recurrenceFrequency').value;
+        const end = document.getElementById('recurrenceEnd').value;
+        document.getElementById('recurringOptions').style.display = document.getElementById('taskRecurring').checked ? 'block' : 'none';
+        document.getElementById('recurrenceWeekdays').style.display = frequency === 'weekly' ? 'flex' : 'none';
+        document.getElementById('recurrenceIntervalGroup').style.display = frequency === 'interval' ? 'block' : 'none';
+        document.getElementById('recurrenceUntil').style.display = end === 'until' ? 'block' : 'none';
+        document.getElementById('recurrenceCount').style.display = end === 'count' ? 'block' : 'none';
+    },
+
+    // Read recurrence fields, or null when the task does not repeat
+    readRecurrenceForm() {
+        if (!document.getElementById('taskRecurring').checked) return null;
+        const end = document.getElementById('recurrenceEnd').value;
+        return {
+            frequency: document.getElementById('recurrenceFrequency').value,
+            weekdays: Array.from(document.querySelectorAll('input[name="recurrenceWeekday"]:checked')).map(c => c.value),
+            interval: document.getElementById('recurrenceInterval').value,
+            until: end === 'until' ? document.getElementById('recurrenceUntil').value || null : null,
+            count: end === 'count' ? document.getElementById('recurrenceCount').value : null
+        };
+    },
+
+    // Ask whether a recurring change applies to this, following or all occurrences
+    openScopeModal(title, onChoose) {
+        document.getElementById('scopeModalTitle').textContent = title;
+        document.getElementById('scopeModal').classList.add('active');
+        this.scopeCallback = onChoose;
+    },
+
+    // Close scope modal, running the callback if a scope was chosen
+    closeScopeModal(scope) {
+        document.getElementById('scopeModal').classList.remove('active');
+        const callback = this.scopeCallback;
+        this.scopeCallback = null;
+        if (scope && callback) {
+            callback(scope);
+        }
+    },
+
+    // Open modal for editing existing task
+    openEditTaskModal(taskId) {
+        AppState.editingTaskId = taskId;
+        const task = TaskManager.getTask(taskId);
+        
+        if (task) {
+            const rule = task.ruleId ? RecurrenceManager.getRule(task.ruleId) : null;
+            document.getElementById('modalTitle').textContent = rule ? 'Edit Recurring Task' : 'Edit Task';
+            document.getElementById('taskTime').value = task.startTime;
+            this.showTaskValidation(null);
+            this.fillRecurrenceForm(rule);
+            document.getElementById('recurringGroup').style.display = rule ? 'block' : 'none';
+            document.getElementById('taskRecurring').disabled = !!rule;
+            document.getElementById('taskEndTime').value = task.endTime;
+            document.getElementById('taskName').value = task.name;
+            this.populateCatalogSelect('taskCategory', 'taskCategories', task.category);
+            document.getElementById('taskModal').classList.add('active');
+        }
+    },
+
+    // Close task modal
+    closeTaskModal() {
+        document.getElementById('taskModal').classList.remove('active');
+        document.getElementById('taskForm').reset();
+        document.getElementById('taskRecurring').disabled = false;
+        AppState.editingTaskId = null;
+        AppState.acknowledgedConflict = null;
+    },
+
+    // Rebuild everything after stored data was replaced (backup import, reset)
+    reload() {
+        this.populateCatalogSelects();
+        this.renderTrackSections();
+        this.refresh();
+    },
+
+    // Refresh entire UI
+    refresh() {
+        // Entries being edited belong to the previous day's data
+        Object.keys(AppState.editingEntries).forEach(trackId => {
+            const entryId = AppState.editingEntries[trackId];
+            if (entryId && !TrackManager.getEntry(trackId, entryId)) {
+                this.closeTrackForm(trackId);
+            }
+        });
+        this.updateDateDisplay();
+        this.renderTimetable();
+        this.renderProgress();
+        this.renderTracks();
+        this.renderCalendar();
+        this.renderTemplates();
+        this.renderWeeklyOverview();
+        this.renderStreaks();
+        this.renderReview();
+        this.renderGoals();
+        this.renderRecovery();
+        this.renderHistoryButtons();
+    }
+};
+
+// ===== Drag & Drop =====
+// Pointer-based dragging (mouse and touch) for rescheduling tasks.
+// Timetable: drag ⠿ onto a free slot, another task (to follow it) or a day in
+// the calendar / weekly overview; drag the bottom edge to change the end time.
+// Week view: drag a block up/down or across days; drag its bottom edge to resize.
+const DragManager = {
+    SNAP_MINUTES: 15,
+    RESIZE_PIXELS_PER_STEP: 8,
+    drag: null,
+    suppressClick: false,
+
+    init() {
+        document.getElementById('timetableList').addEventListener('pointerdown', (e) => this.startTimetableDrag(e));
+        document.getElementById('calendarView').addEventListener('pointerdown', (e) => this.startWeekDrag(e));
+        document.addEventListener('pointermove', (e) => this.move(e));
+        document.addEventListener('pointerup', (e) => this.end(e));
+        document.addEventListener('pointercancel', () => this.cancel());
+
+        // A drag ends with a click on whatever is under the pointer; ignore it
+        document.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                e.stopPropagation();
+                e.preventDefault();
+            }
+        }, true);
+    },
+
+    // Begin dragging a timetable task by its handle
+    startTimetableDrag(e) {
+        const handle = e.target.closest('.drag-handle, .resize-handle');
+        if (!handle || e.button > 0) return;
+        e.preventDefault();
+        this.drag = {
+            view: 'timetable',
+            mode: handle.classList.contains('resize-handle') ? 'resize' : 'move',
+            date: AppState.getCurrentDateString(),
+            task: TaskManager.getTask(handle.dataset.taskId),
+            element: handle.closest('.timetable-item'),
+            x: e.clientX,
+            y: e.clientY,
+            moved: false,
+            result: null
+        };
+    },
+
+    // Begin dragging a block in the week view
+    startWeekDrag(e) {
+        const block = e.target.closest('.calendar-block');
+        if (!block || e.button > 0) return;
+        e.preventDefault();
+        const week = block.closest('.calendar-week');
+        this.drag = {
+            view: 'week',
+            mode: e.target.closest('.calendar-block-resize') ? 'resize' : 'move',
+            date: block.dataset.date,
+            task: { id: block.dataset.taskId, startTime: block.dataset.start, endTime: block.dataset.end },
+            element: block,
+            range: { start: parseInt(week.dataset.rangeStart), end: parseInt(week.dataset.rangeEnd) },
+            minutesPerPixel: 60 / parseInt(week.dataset.hourHeight),
+            x: e.clientX,
+            y: e.clientY,
+            moved: false,
+            result: null
+        };
+    },
+
+    // Round minutes to the snap interval
+    snap(minutes) {
+        return Math.round(minutes / this.SNAP_MINUTES) * this.SNAP_MINUTES;
+    },
+
+    // Build new times for the dragged task, shifted or resized by deltaMinutes
+    shiftTimes(deltaMinutes, mode) {
+        const task = this.drag.task;
+        let start = TimeUtil.toMinutes(task.startTime);
+        let end = TimeUtil.toMinutes(task.endTime);
+        if (mode === 'resize') {
+            end = Math.min(24 * 60 - 1, Math.max(start + this.SNAP_MINUTES, end + deltaMinutes));
+        } else {
+            const duration = end - start;
+            start = Math.min(24 * 60 - 1 - duration, Math.max(0, start + deltaMinutes));
+            end = start + duration;
+        }
+        return { startTime: TimeUtil.fromMinutes(start), endTime: TimeUtil.fromMinutes(end) };
+    },
+
+    // Work out where a timetable task would land if dropped at the pointer
+    getTimetableDrop(e) {
+        const target = document.elementFromPoint(e.clientX, e.clientY);
+        if (!target) return null;
+        const task = this.drag.task;
+        const duration = TimeUtil.toMinutes(task.endTime) - TimeUtil.toMinutes(task.startTime);
+        const startingAt = (date, startTime, element) => {
+            const start = Math.min(TimeUtil.toMinutes(startTime), 24 * 60 - 1 - duration);
+            return { date, element, startTime: TimeUtil.fromMinutes(start), endTime: TimeUtil.fromMinutes(start + duration) };
+        };
+
+        const slot = target.closest('#timetableList .free-slot');
+        if (slot) {
+            return startingAt(this.drag.date, slot.dataset.start, slot);
+        }
+        const item = target.closest('#timetableList .timetable-item');
+        if (item && item !== this.drag.element) {
+            return startingAt(this.drag.date, item.dataset.end, item);
+        }
+        const day = target.closest('#weeklyStats [data-date], #calendarView [data-date]');
+        if (day) {
+            return { date: day.dataset.date, element: day, startTime: task.startTime, endTime: task.endTime };
+        }
+        return null;
+    },
+
+    // Work out where a week-view block would land, and preview it there
+    getWeekDrop(e) {
+        const deltaMinutes = this.snap((e.clientY - this.drag.y) * this.drag.minutesPerPixel);
+        const times = this.shiftTimes(deltaMinutes, this.drag.mode);
+        let date = this.drag.date;
+        let column = this.drag.element.parentElement;
+
+        if (this.drag.mode === 'move') {
+            const target = document.elementFromPoint(e.clientX, e.clientY);
+            const body = target && target.closest('.calendar-week-body');
+            if (body) {
+                date = body.dataset.date;
+                column = body;
+            }
+        }
+
+        const position = CalendarManager.getBlockPosition(times, this.drag.range);
+        const block = this.drag.element;
+        if (block.parentElement !== column) {
+            column.appendChild(block);
+        }
+        block.style.top = `${position.top}%`;
+        block.style.height = `${position.height}%`;
+        block.querySelector('.calendar-block-time').textContent = times.startTime;
+        return Object.assign({ date }, times);
+    },
+
+    // Track the pointer while dragging
+    move(e) {
+        if (!this.drag) return;
+        const dx = e.clientX - this.drag.x;
+        const dy = e.clientY - this.drag.y;
+        if (!this.drag.moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+        this.drag.moved = true;
+        this.drag.element.classList.add('dragging');
+
+        if (this.drag.view === 'week') {
+            this.drag.result = this.getWeekDrop(e);
+            return;
+        }
+
+        if (this.drag.mode === 'resize') {
+            const steps = Math.round(dy / this.RESIZE_PIXELS_PER_STEP);
+            const times = this.shiftTimes(steps * this.SNAP_MINUTES, 'resize');
+            this.drag.result = Object.assign({ date: this.drag.date }, times);
+            this.drag.element.querySelector('.task-time').textContent = `${times.startTime} - ${times.endTime}`;
+            return;
+        }
+
+        document.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+        this.drag.element.style.transform = `translate(${dx}px, ${dy}px)`;
+        this.drag.result = this.getTimetableDrop(e);
+        if (this.drag.result) {
+            this.drag.result.element.classList.add('drop-target');
+        }
+    },
+
+    // Apply the drop, if the task actually moved
+    end() {
+        if (!this.drag) return;
+        const { moved, result, date, task } = this.drag;
+        this.drag = null;
+        if (!moved) return;
+
+        this.suppressClick = true;
+        setTimeout(() => { this.suppressClick = false; }, 0);
+        if (result && (result.date !== date || result.startTime !== task.startTime || result.endTime !== task.endTime)) {
+            EventHandlers.moveTask(date, task.id, result.date, { startTime: result.startTime, endTime: result.endTime });
+        } else {
+            UI.refresh();
+        }
+    },
+
+    // Abandon a drag and restore the views
+    cancel() {
+        if (!this.drag) return;
+        this.drag = null;
+        UI.refresh();
+    }
+};
+
+// ===== Command Palette =====
+// Actions the command palette (Ctrl+K) can run, matched fuzzily against what
+// is typed. Commands marked `shortcut` can also be bound to a single key in
+// Settings. Typing a date ("2026-05-01", "tomorrow", "fri", "+3") offers to
+// go to that day.
+const CommandPalette = {
+    RESULT_LIMIT: 12,
+    WEEKDAYS: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+
+    // Build the commands available for the day being viewed
+    getCommands() {
+        const date = AppState.getCurrentDateString();
+        const commands = [
+            { id: 'today', title: 'Go to today', shortcut: true, run: () => EventHandlers.goToDate(DateUtil.formatDate(new Date())) },
+            { id: 'prev-day', title: 'Previous day', shortcut: true, run: () => EventHandlers.goToDate(DateUtil.addDaysToString(date, -1)) },
+            { id: 'next-day', title: 'Next day', shortcut: true, run: () => EventHandlers.goToDate(DateUtil.addDaysToString(date, 1)) },
+            { id: 'add-task', title: 'Add task', shortcut: true, run: () => UI.openAddTaskModal() }
+        ];
+
+        TrackManager.getTracks().forEach(track => commands.push({
+            id: `log:${track.id}`,
+            title: `Log ${track.name} ${track.entryLabel.toLowerCase()}`,
+            shortcut: true,
+            run: () => UI.openTrackForm(track.id)
+        }));
+
+        AppState.currentData.tasks.forEach(task => commands.push({
+            id: `toggle:${task.id}`,
+            title: `${task.completed ? 'Reopen' : 'Complete'} task: ${task.startTime} ${task.name}`,
+            run: () => {
+                HistoryManager.run('Toggle task', () => TaskManager.toggleTask(task.id));
+                UI.refresh();
+            }
+        }));
+
+        TemplateManager.getTemplates().forEach(template => commands.push({
+            id: `template:${template.id}`,
+            title: `Apply template: ${template.name}`,
+            run: () => {
+                const report = HistoryManager.run('Apply template', () => TemplateManager.apply(template.id, date, date, 'skip', 'all'));
+                UI.renderTemplateReport(report);
+                UI.refresh();
+            }
+        }));
+
+        return commands.concat([
+            { id: 'search', title: 'Search all days', shortcut: true, run: () => UI.focusSearch() },
+            { id: 'focus', title: 'Start focus timer', run: () => EventHandlers.startFocus({ type: 'none', date, label: 'Free focus' }) },
+            { id: 'roll-over', title: 'Roll over unfinished tasks', run: () => document.getElementById('rollOverBtn').click() },
+            { id: 'export-backup', title: 'Export backup (.json)', run: () => document.getElementById('exportBackup').click() },
+            { id: 'export-csv', title: 'Export spreadsheet (.csv)', run: () => document.getElementById('exportCsv').click() },
+            { id: 'export-ics', title: 'Export calendar (.ics)', run: () => document.getElementById('exportIcs').click() },
+            { id: 'undo', title: 'Undo', run: () => EventHandlers.undo() },
+            { id: 'redo', title: 'Redo', run: () => EventHandlers.redo() },
+            { id: 'settings', title: 'Open settings', run: () => UI.openSettingsModal() }
+        ]);
+    },
+
+    // Parse a typed date: YYYY-MM-DD, today/tomorrow/yesterday, a weekday
+    // (the next one after today) or +N / -N days from today.
+    // Returns YYYY-MM-DD, or null if the text isn't a date.
+    parseDate(query) {
+        const text = query.trim().toLowerCase().replace(/^(go ?to|date)\s+/, '');
+        const today = DateUtil.formatDate(new Date());
+
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+            return DateUtil.formatDate(DateUtil.parseDate(text)) === text ? text : null;
+        }
+        const relative = { today: 0, tomorrow: 1, yesterday: -1 };
+        if (text in relative) {
+            return DateUtil.addDaysToString(today, relative[text]);
+        }
+        const offset = text.match(/^([+-])(\d{1,3})$/);
+        if (offset) {
+            return DateUtil.addDaysToString(today, Number(offset[2]) * (offset[1] === '-' ? -1 : 1));
+        }
+        const weekday = text.length >= 3 ? this.WEEKDAYS.findIndex(day => day.startsWith(text)) : -1;
+        if (weekday !== -1) {
+            const ahead = (weekday - new Date().getDay() + 7) % 7 || 7;
+            return DateUtil.addDaysToString(today, ahead);
+        }
+        return null;
+    },
+
+    // Score how well a query matches a title: every typed character must
+    // appear in order; runs of characters and word starts score higher.
+    // Returns null when the title doesn't match.
+    fuzzyScore(query, title) {
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        const text = title.toLowerCase();
+        let score = 0;
+        let last = -1;
+        for (const char of needle) {
+            const index = text.indexOf(char, last + 1);
+            if (index === -1) return null;
+            score += index === last + 1 ? 3 : 1;
+            if (index === 0 || /[\s:(/-]/.test(text[index - 1])) score += 2;
+            last = index;
+        }
+        return score;
+    },
+
+    // Get the commands matching a query, best first
+    search(query) {
+        const results = this.getCommands()
+            .map((command, index) => ({ command, index, score: this.fuzzyScore(query, command.title) }))
+            .filter(result => result.score !== null)
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .slice(0, this.RESULT_LIMIT)
+            .map(result => result.command);
+
+        const date = this.parseDate(query);
+        if (date) {
+            results.unshift({
+                id: 'go-date',
+                title: `Go to ${DateUtil.formatDateDisplay(DateUtil.parseDate(date))}`,
+                run: () => EventHandlers.goToDate(date)
+            });
+        }
+        return results;
+    },
+
+    // Run a command, reporting errors
+    run(command) {
+        try {
+            command.run();
+        } catch (error) {
+            alert(error.message);
+        }
+    },
+
+    // Get the key bound to each command id
+    getShortcuts() {
+        return StorageManager.getSettings().shortcuts;
+    },
+
+    // Bind a single key to a command, or unbind it with an empty key
+    setShortcut(id, key) {
+        const value = key.trim().toLowerCase();
+        if (value.length > 1) {
+            throw new Error('A shortcut is a single key.');
+        }
+        const settings = StorageManager.getSettings();
+        const shortcuts = Object.assign({}, settings.shortcuts);
+        const owner = Object.keys(shortcuts).find(other => other !== id && shortcuts[other] === value);
+        if (value && owner) {
+            const command = this.getCommands().find(c => c.id === owner);
+            throw new Error(`"${value}" is already used for "${command ? command.title : owner}".`);
+        }
+        if (value) {
+            shortcuts[id] = value;
+        } else {
+            delete shortcuts[id];
+        }
+        settings.shortcuts = shortcuts;
+        StorageManager.saveSettings(settings);
+    },
+
+    // Find the command bound to a key, or null
+    findByKey(key) {
+        const shortcuts = this.getShortcuts();
+        const id = Object.keys(shortcuts).find(commandId => shortcuts[commandId] === key.toLowerCase());
+        return id ? this.getCommands().find(command => command.id === id) || null : null;
+    }
+};
+
+// ===== Focus Management =====
+// Keyboard access to modals: opening one moves focus into it, Tab stays
+// inside it, Escape closes it and focus returns to where it was before.
+const FocusManager = {
+    FOCUSABLE: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
+    returnFocus: {},
+
+    // Watch modals open and close, and handle Escape/Tab while one is open
+    init() {
+        const observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => this.onModalChange(mutation.target));
+        });
+        document.querySelectorAll('.modal').forEach(modal => {
+            observer.observe(modal, { attributes: true, attributeFilter: ['class'] });
+        });
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    },
+
+    // Get the visible, focusable elements of a container
+    getFocusable(container) {
+        return Array.from(container.querySelectorAll(this.FOCUSABLE))
+            .filter(element => !element.closest('[hidden], [style*="display: none"]'));
+    },
+
+    // Get the open modal on top, or null
+    getTopModal() {
+        const open = document.querySelectorAll('.modal.active');
+        return open.length > 0 ? open[open.length - 1] : null;
+    },
+
+    // Move focus into a modal that opened, or back out of one that closed
+    onModalChange(modal) {
+        const open = modal.classList.contains('active');
+        if (open && !(modal.id in this.returnFocus)) {
+            this.returnFocus[modal.id] = document.activeElement;
+            if (!modal.contains(document.activeElement)) {
+                const fields = this.getFocusable(modal).filter(element => !element.classList.contains('close-btn'));
+                if (fields.length > 0) fields[0].focus();
+            }
+        } else if (!open && modal.id in this.returnFocus) {
+            const previous = this.returnFocus[modal.id];
+            delete this.returnFocus[modal.id];
+            if (previous && previous !== document.body && document.contains(previous)) {
+                previous.focus();
+            }
+        }
+    },
+
+    // Close a modal the same way its own controls do
+    close(modal) {
+        const closers = {
+            taskModal: () => UI.closeTaskModal(),
+            settingsModal: () => UI.closeSettingsModal(),
+            scopeModal: () => UI.closeScopeModal(null),
+            commandPalette: () => UI.closePalette()
+        };
+        if (closers[modal.id]) closers[modal.id]();
+    },
+
+    // Escape closes the top modal; Tab and Shift+Tab wrap around inside it
+    handleKeydown(e) {
+        const modal = this.getTopModal();
+        if (!modal) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close(modal);
+        } else if (e.key === 'Tab') {
+            const items = this.getFocusable(modal);
+            if (items.length === 0) return;
+            const first = items[0];
+            const last = items[items.length - 1];
+            if (!modal.contains(document.activeElement)) {
+                e.preventDefault();
+                first.focus();
+            } else if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    }
+};
+
+// ===== Event Handlers =====
+const EventHandlers = {
+    // Move a task to new times and/or another date, then re-render
+    moveTask(fromDate, taskId, toDate, times) {
+        try {
+            HistoryManager.run('Move task', () => TaskManager.moveTask(fromDate, taskId, toDate, times));
+        } catch (error) {
+            alert(error.message);
+        }
+        UI.refresh();
+    },
+
+    // Undo the latest change, showing the day it was made on
+    undo() {
+        let command;
+        try {
+            command = HistoryManager.undo();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        if (!command) return;
+        this.afterHistoryChange(command);
+        UI.showHistoryToast(`Undone: ${command.label}`, 'redo');
+    },
+
+    // Redo the latest undone change, showing the day it was made on
+    redo() {
+        let command;
+        try {
+            command = HistoryManager.redo();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        if (!command) return;
+        this.afterHistoryChange(command);
+        UI.showHistoryToast(`Redone: ${command.label}`, 'undo');
+    },
+
+    // Switch to a command's day (forms may hold entries that changed) and re-render
+    afterHistoryChange(command) {
+        UI.closeTaskModal();
+        Object.keys(AppState.editingEntries).forEach(trackId => UI.closeTrackForm(trackId));
+        if (command.date !== AppState.getCurrentDateString()) {
+            AppState.setDate(DateUtil.parseDate(command.date));
+        }
+        UI.refresh();
+    },
+
+    // Jump to a YYYY-MM-DD date and show its timetable
+    goToDate(dateString) {
+        AppState.setDate(DateUtil.parseDate(dateString));
+        UI.refresh();
+    },
+
+    // Save the entry in a track's form (add, or update when editing)
+    saveTrackEntry(trackId) {
+        const track = TrackManager.getTrack(trackId);
+        const data = UI.readTrackForm(trackId);
+        const missing = TrackManager.getMissingField(track, data);
+        if (missing) {
+            UI.getTrackCard(trackId).querySelector(`[data-field="${CSS.escape(missing.key)}"]`).focus();
+            return;
+        }
+
+        const editingId = AppState.editingEntries[trackId];
+        const label = track.entryLabel.toLowerCase();
+        if (editingId) {
+            HistoryManager.run(`Edit ${label}`, () => TrackManager.updateEntry(trackId, editingId, data));
+            UI.closeTrackForm(trackId);
+        } else {
+            HistoryManager.run(`Add ${label}`, () => TrackManager.addEntry(trackId, data));
+            UI.fillTrackForm(track, null);
+        }
+        EventHandlers.afterTrackChange(trackId);
+    },
+
+    // Re-render what depends on a track's entries
+    afterTrackChange(trackId) {
+        UI.renderTrack(trackId);
+        UI.renderDSAnalytics();
+        UI.renderStreaks();
+        UI.renderReview();
+    },
+
+    // Close the palette and run one of its listed commands
+    runPaletteCommand(index) {
+        const command = UI.paletteResults[index];
+        if (!command) return;
+        UI.closePalette();
+        CommandPalette.run(command);
+    },
+
+    // Start the focus timer unless one is already running
+    startFocus(target) {
+        if (FocusTimer.getState() && !confirm('A focus session is already running. Discard it and start a new one?')) {
+            return;
+        }
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+        FocusTimer.start(target);
+    },
+
+    init() {
+        // Date navigation
+        document.getElementById('prevDay').addEventListener('click', () => {
+            AppState.prevDay();
+            UI.refresh();
+        });
+
+        document.getElementById('nextDay').addEventListener('click', () => {
+            AppState.nextDay();
+            UI.refresh();
+        });
+
+        document.getElementById('todayBtn').addEventListener('click', () => {
+            AppState.goToToday();
+            UI.refresh();
+        });
+
+        document.getElementById('datePicker').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.goToDate(e.target.value);
+            }
+        });
+
+        // Calendar views
+        document.querySelectorAll('[data-calendar-view]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                UI.calendarView = e.target.dataset.calendarView;
+                UI.renderCalendar();
+            });
+        });
+
+        document.getElementById('calendarPrev').addEventListener('click', () => {
+            AppState.shiftPeriod(UI.calendarView, -1);
+            UI.refresh();
+        });
+
+        document.getElementById('calendarNext').addEventListener('click', () => {
+            AppState.shiftPeriod(UI.calendarView, 1);
+            UI.refresh();
+        });
+
+        // Clicking a day in the calendar or weekly overview jumps to it
+        ['calendarView', 'weeklyStats'].forEach(id => {
+            const container = document.getElementById(id);
+            container.addEventListener('click', (e) => {
+                const day = e.target.closest('[data-date]');
+                if (day) {
+                    this.goToDate(day.dataset.date);
+                }
+            });
+            container.addEventListener('keypress', (e) => {
+                const day = e.target.closest('[role="button"][data-date]');
+                if (day && e.key === 'Enter') {
+                    this.goToDate(day.dataset.date);
+                }
+            });
+        });
+
+        // Add task button
+        document.getElementById('addTaskBtn').addEventListener('click', () => {
+            UI.openAddTaskModal();
+        });
+
+        // Task form submission
+        document.getElementById('taskForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const taskData = {
+                startTime: document.getElementById('taskTime').value,
+                endTime: document.getElementById('taskEndTime').value,
+                name: document.getElementById('taskName').value,
+                category: document.getElementById('taskCategory').value
+            };
+            const recurrence = UI.readRecurrenceForm();
+            const afterSave = () => {
+                UI.closeTaskModal();
+                UI.renderTimetable();
+                UI.renderProgress();
+                UI.renderWeeklyOverview();
+                UI.renderStreaks();
+            };
+
+            if (recurrence && recurrence.frequency === 'weekly' && recurrence.weekdays.length === 0) {
+                alert('Choose at least one weekday for the repeat rule.');
+                return;
+            }
+
+            const editingTask = AppState.editingTaskId ? TaskManager.getTask(AppState.editingTaskId) : null;
+
+            // Reject invalid ranges (even when the repeat rule has no dates);
+            // warn once about overlaps before saving
+            const validation = TaskManager.validateTask(taskData, []);
+            if (validation.error) {
+                UI.showTaskValidation(validation.error, true);
+                return;
+            }
+            const dates = UI.getTaskFormDates();
+            if (recurrence && dates.length === 0) {
+                UI.showTaskValidation('The repeat rule has no occurrences. Check its end date.', true);
+                return;
+            }
+            const conflicts = [];
+            dates.forEach(date => {
+                const tasks = date === AppState.getCurrentDateString() ? AppState.currentData.tasks : StorageManager.getDateData(date).tasks;
+                TaskManager.validateTask(taskData, tasks, editingTask).conflicts
+                    .forEach(task => conflicts.push(Object.assign({ date }, task)));
+            });
+            const conflictKey = JSON.stringify([taskData.startTime, taskData.endTime, dates.length]);
+            if (conflicts.length > 0 && AppState.acknowledgedConflict !== conflictKey) {
+                AppState.acknowledgedConflict = conflictKey;
+                const list = conflicts.slice(0, 5).map(t => UI.escapeHtml(`${dates.length > 1 ? `${t.date} ` : ''}${t.startTime}-${t.endTime} ${t.name}`)).join('<br>');
+                UI.showTaskValidation(`⚠️ Overlaps ${conflicts.length} block(s):<br>${list}<br>Save again to keep the overlap, or use "Find slot".`, false);
+                return;
+            }
+
+            if (editingTask && editingTask.ruleId) {
+                UI.openScopeModal('Edit recurring task', scope => {
+                    try {
+                        HistoryManager.run('Edit recurring task', () => {
+                            RecurrenceManager.updateOccurrence(editingTask, AppState.getCurrentDateString(), taskData, recurrence, scope);
+                        });
+                    } catch (error) {
+                        alert(error.message);
+                        return;
+                    }
+                    afterSave();
+                });
+                return;
+            }
+
+            if (editingTask) {
+                HistoryManager.run('Edit task', () => TaskManager.updateTask(AppState.editingTaskId, taskData));
+            } else if (recurrence) {
+                try {
+                    HistoryManager.run('Add recurring task', () => {
+                        RecurrenceManager.addRule(taskData, recurrence, AppState.getCurrentDateString());
+                    });
+                } catch (error) {
+                    alert(error.message);
+                    return;
+                }
+            } else {
+                HistoryManager.run('Add task', () => TaskManager.addTask(taskData));
+            }
+            afterSave();
+        });
+
+        // Modal close buttons
+        document.getElementById('closeModal').addEventListener('click', () => {
+            UI.closeTaskModal();
+        });
+
+
+        // Find a free slot for the task being added or edited
+        document.getElementById('findSlotBtn').addEventListener('click', () => {
+            UI.fillFreeSlot();
+        });
+
+        // Day bounds used for free slots
+        ['dayStartInput', 'dayEndInput'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                const settings = StorageManager.getSettings();
+                const dayStart = document.getElementById('dayStartInput').value;
+                const dayEnd = document.getElementById('dayEndInput').value;
+                if (dayStart && dayEnd && dayStart < dayEnd) {
+                    settings.dayStart = dayStart;
+                    settings.dayEnd = dayEnd;
+                    StorageManager.saveSettings(settings);
+                }
+                document.getElementById('dayStartInput').value = settings.dayStart;
+                document.getElementById('dayEndInput').value = settings.dayEnd;
+                UI.renderTimetable();
+            });
+        });
+
+        // Roll unfinished tasks from previous days over to today
+        document.getElementById('rollOverBtn').addEventListener('click', () => {
+            const settings = StorageManager.getSettings();
+            const today = DateUtil.formatDate(new Date());
+            const count = TaskManager.getRolloverCandidates(today, settings.rolloverDays).length;
+            if (count === 0) {
+                alert(`No unfinished tasks in the last ${settings.rolloverDays} days.`);
+                return;
+            }
+            if (confirm(`Move ${count} unfinished task(s) from the last ${settings.rolloverDays} days to today?`)) {
+                const result = HistoryManager.run('Roll over tasks', () => TaskManager.rollOverTasks(today, settings.rolloverDays));
+                AppState.goToToday();
+                UI.refresh();
+                if (result.skipped.length > 0) {
+                    alert(`These tasks were left on their day because their times are invalid (end before start):\n${result.skipped.map(({ date, task }) => `${date} ${task.startTime}-${task.endTime} ${task.name}`).join('\n')}`);
+                }
+            }
+        });
+
+        ['autoRollover', 'rolloverDays'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                const settings = StorageManager.getSettings();
+                settings.autoRollover = document.getElementById('autoRollover').checked;
+                settings.rolloverDays = Math.min(365, Math.max(1, parseInt(document.getElementById('rolloverDays').value) || 7));
+                StorageManager.saveSettings(settings);
+                document.getElementById('rolloverDays').value = settings.rolloverDays;
+            });
+        });
+
+        // Drag-and-drop rescheduling
+        DragManager.init();
+
+        // Tick the tracked time of running tasks
+        setInterval(() => UI.renderRunningTimers(), 30000);
+
+        document.getElementById('runningTimerBanner').addEventListener('click', (e) => {
+            const running = TaskManager.getRunningTimer();
+            if (!running) return;
+            if (e.target.dataset.action === 'show') {
+                this.goToDate(running.date);
+            } else if (e.target.dataset.action === 'stop') {
+                HistoryManager.run('Stop tracking', () => TaskManager.stopRunningTimer());
+                UI.refresh();
+            }
+        });
+
+        // Reminder settings
+        document.getElementById('reminderSettings').addEventListener('change', (e) => {
+            const settings = StorageManager.getSettings();
+            const row = e.target.closest('[data-category]');
+            if (row) {
+                const lead = parseInt(row.querySelector('.reminder-category-lead').value);
+                ReminderManager.setCategorySettings(row.dataset.category, {
+                    enabled: row.querySelector('.reminder-category-enabled input').checked,
+                    leadMinutes: Number.isNaN(lead) ? null : Math.min(720, Math.max(0, lead))
+                });
+                UI.renderReminderSettings();
+                return;
+            }
+
+            settings.remindersEnabled = document.getElementById('remindersEnabled').checked;
+            settings.reminderLeadMinutes = Math.min(720, Math.max(0, parseInt(document.getElementById('reminderLeadMinutes').value) || 0));
+            settings.reminderEndPrompt = document.getElementById('reminderEndPrompt').checked;
+            settings.quietHoursStart = document.getElementById('quietHoursStart').value || settings.quietHoursStart;
+            settings.quietHoursEnd = document.getElementById('quietHoursEnd').value || settings.quietHoursEnd;
+            StorageManager.saveSettings(settings);
+
+            if (e.target.id === 'remindersEnabled' && settings.remindersEnabled &&
+                'Notification' in window && Notification.permission === 'default') {
+                Notification.requestPermission().then(() => UI.renderReminderSettings());
+            }
+            UI.renderReminderSettings();
+        });
+
+        // App updates and install
+        document.getElementById('applyUpdate').addEventListener('click', () => {
+            ServiceWorkerManager.applyUpdate();
+        });
+
+        document.getElementById('dismissUpdate').addEventListener('click', () => {
+            UI.hideUpdateBanner();
+        });
+
+        document.getElementById('storageBannerBackup').addEventListener('click', () => {
+            document.getElementById('exportBackup').click();
+        });
+
+        document.getElementById('dismissStorageBanner').addEventListener('click', () => {
+            document.getElementById('storageBanner').hidden = true;
+        });
+
+        document.getElementById('installApp').addEventListener('click', () => {
+            ServiceWorkerManager.install();
+        });
+
+        // Undo / redo
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+
+        document.getElementById('historyToast').addEventListener('click', (e) => {
+            const action = e.target.dataset.historyAction;
+            if (action === 'undo') {
+                this.undo();
+            } else if (action === 'redo') {
+                this.redo();
+            }
+        });
+
+        // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y); text fields keep their own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Command palette: Ctrl+K anywhere; Up/Down choose, Enter runs
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                if (document.getElementById('commandPalette').classList.contains('active')) {
+                    UI.closePalette();
+                } else {
+                    UI.openPalette();
+                }
+            }
+        });
+
+        document.getElementById('paletteInput').addEventListener('input', () => {
+            UI.paletteIndex = 0;
+            UI.renderPalette();
+        });
+
+        document.getElementById('paletteInput').addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                UI.movePaletteSelection(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.runPaletteCommand(UI.paletteIndex);
+            }
+        });
+
+        document.getElementById('paletteList').addEventListener('click', (e) => {
+            const item = e.target.closest('.palette-item');
+            if (item) {
+                this.runPaletteCommand(Number(item.dataset.index));
+            }
+        });
+
+        document.getElementById('commandPalette').addEventListener('click', (e) => {
+            if (e.target.id === 'commandPalette') {
+                UI.closePalette();
+            }
+        });
+
+        // Single-key shortcuts; ignored while typing, in a modal or with Ctrl/Alt held
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || e.key.length !== 1) return;
+            if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            if (FocusManager.getTopModal()) return;
+            const command = CommandPalette.findByKey(e.key);
+            if (command) {
+                e.preventDefault();
+                CommandPalette.run(command);
+            }
+        });
+
+        document.getElementById('shortcutList').addEventListener('change', (e) => {
+            if (!e.target.classList.contains('shortcut-key')) return;
+            try {
+                CommandPalette.setShortcut(e.target.dataset.command, e.target.value);
+            } catch (error) {
+                alert(error.message);
+            }
+            UI.renderShortcutSettings();
+        });
+
+        document.getElementById('resetShortcuts').addEventListener('click', () => {
+            const settings = StorageManager.getSettings();
+            settings.shortcuts = StorageManager.getDefaultSettings().shortcuts;
+            StorageManager.saveSettings(settings);
+            UI.renderShortcutSettings();
+        });
+
+        document.getElementById('reminderToasts').addEventListener('click', (e) => {
+            const toast = e.target.closest('.reminder-toast');
+            if (!toast) return;
+            if (e.target.classList.contains('reminder-complete')) {
+                ReminderManager.completeTask(toast.dataset.date, toast.dataset.taskId);
+            } else if (e.target.classList.contains('reminder-dismiss')) {
+                ReminderManager.dismiss(toast.dataset.reminderKey);
+            }
+        });
+
+        // Day templates
+        document.getElementById('newTemplate').addEventListener('click', () => {
+            UI.openTemplateEditor();
+        });
+
+        document.getElementById('saveDayAsTemplate').addEventListener('click', () => {
+            const { blocks, skipped } = TemplateManager.getBlocksFromDay(AppState.getCurrentDateString());
+            if (skipped.length > 0) {
+                alert(`Left out ${skipped.length} task(s) whose end time is not after the start time:\n${skipped.map(task => `${task.startTime}-${task.endTime} ${task.name}`).join('\n')}`);
+            }
+            if (blocks.length === 0) {
+                alert('This day has no tasks to save as a template.');
+                return;
+            }
+            UI.openTemplateEditor(null, blocks);
+        });
+
+        document.getElementById('saveTemplate').addEventListener('click', () => {
+            const name = document.getElementById('templateName').value;
+            try {
+                const blocks = TemplateManager.parseBlocks(document.getElementById('templateBlocks').value);
+                if (UI.editingTemplateId) {
+                    TemplateManager.updateTemplate(UI.editingTemplateId, name, blocks);
+                } else {
+                    TemplateManager.addTemplate(name, blocks);
+                }
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            UI.closeTemplateEditor();
+            UI.renderTemplates();
+        });
+
+        document.getElementById('cancelTemplate').addEventListener('click', () => {
+            UI.closeTemplateEditor();
+        });
+
+        document.getElementById('templateList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-template-id]');
+            if (!item) return;
+            const template = TemplateManager.getTemplate(item.dataset.templateId);
+            if (e.target.classList.contains('btn-edit')) {
+                UI.openTemplateEditor(template);
+            } else if (e.target.classList.contains('btn-delete') && confirm(`Delete the template "${template.name}"? Days it was applied to keep their tasks.`)) {
+                TemplateManager.deleteTemplate(template.id);
+                if (UI.editingTemplateId === template.id) {
+                    UI.closeTemplateEditor();
+                }
+                UI.renderTemplates();
+            }
+        });
+
+        document.getElementById('applyTemplate').addEventListener('click', () => {
+            try {
+                const report = HistoryManager.run('Apply template', () => TemplateManager.apply(
+                    document.getElementById('templateSelect').value,
+                    document.getElementById('templateFrom').value,
+                    document.getElementById('templateTo').value,
+                    document.getElementById('templateMode').value,
+                    document.getElementById('templateDays').value
+                ));
+                UI.renderTemplateReport(report);
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            UI.refresh();
+        });
+
+        // Toggle recurring options
+        ['taskRecurring', 'recurrenceFrequency', 'recurrenceEnd'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                UI.updateRecurrenceFormVisibility();
+            });
+        });
+
+        // Recurring scope choice
+        document.querySelectorAll('#scopeModal [data-scope]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                UI.closeScopeModal(e.target.dataset.scope);
             });
         });
 
-        // Add event listeners for edit buttons
-        container.querySelectorAll('.edit').forEach(button => {
-            button.addEventListener('click', (e) => {
-                const taskId = e.target.dataset.taskId;
-                this.openEditTaskModal(taskId);
-            });
+        document.getElementById('scopeModal').addEventListener('click', (e) => {
+            if (e.target.id === 'scopeModal') {
+                UI.closeScopeModal(null);
+            }
+        });
+        document.getElementById('cancelModal').addEventListener('click', () => {
+            UI.closeTaskModal();
+        });
+
+        // Close modal on outside click
+        document.getElementById('taskModal').addEventListener('click', (e) => {
+            if (e.target.id === 'taskModal') {
+                UI.closeTaskModal();
+            }
+        });
+
+        // Study tracks (cards are rebuilt when tracks change, so delegate events)
+        const trackSections = document.getElementById('trackSections');
+        trackSections.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-track-id]');
+            if (!card) return;
+            const trackId = card.dataset.trackId;
+            const track = TrackManager.getTrack(trackId);
+            const entryId = e.target.dataset.entryId;
+
+            if (e.target.classList.contains('track-toggle')) {
+                if (card.querySelector('.track-form').style.display === 'none') {
+                    UI.openTrackForm(trackId);
+                } else {
+                    UI.closeTrackForm(trackId);
+                }
+            } else if (e.target.classList.contains('track-save')) {
+                EventHandlers.saveTrackEntry(trackId);
+            } else if (e.target.classList.contains('track-focus')) {
+                const data = UI.readTrackForm(trackId);
+                const missing = TrackManager.getMissingField(track, data);
+                if (missing) {
+                    card.querySelector(`[data-field="${CSS.escape(missing.key)}"]`).focus();
+                    return;
+                }
+                EventHandlers.startFocus({
+                    type: 'track',
+                    trackId,
+                    date: AppState.getCurrentDateString(),
+                    label: TrackManager.getEntryTitle(track, data),
+                    data
+                });
+            } else if (e.target.classList.contains('status-toggle')) {
+                HistoryManager.run(`Toggle ${track.entryLabel.toLowerCase()}`, () => TrackManager.toggleEntry(trackId, entryId));
+                UI.renderTrack(trackId);
+                UI.renderStreaks();
+            } else if (e.target.classList.contains('btn-edit')) {
+                UI.openTrackForm(trackId, TrackManager.getEntry(trackId, entryId));
+            } else if (e.target.classList.contains('btn-delete')) {
+                const entry = TrackManager.getEntry(trackId, entryId);
+                if (AppState.editingEntries[trackId] === entryId) {
+                    UI.closeTrackForm(trackId);
+                }
+                HistoryManager.run(`Delete ${track.entryLabel.toLowerCase()}`, () => TrackManager.deleteEntry(trackId, entryId));
+                EventHandlers.afterTrackChange(trackId);
+                UI.showHistoryToast(`Deleted "${TrackManager.getEntryTitle(track, entry)}"`, 'undo');
+            }
+        });
+
+        // Allow Enter key in a track's text inputs
+        trackSections.addEventListener('keypress', (e) => {
+            const card = e.target.closest('[data-track-id]');
+            if (card && e.key === 'Enter' && e.target.matches('input[type="text"][data-field]')) {
+                EventHandlers.saveTrackEntry(card.dataset.trackId);
+            }
+        });
+
+        // Focus timer panel (re-rendered every second, so delegate events)
+        const focusPanel = document.getElementById('focusTimer');
+        focusPanel.addEventListener('click', (e) => {
+            switch (e.target.id) {
+                case 'focusStartFree':
+                    EventHandlers.startFocus({ type: 'none', date: AppState.getCurrentDateString(), label: 'Free focus' });
+                    break;
+                case 'focusPause':
+                    FocusTimer.togglePause();
+                    break;
+                case 'focusNextRound':
+                    FocusTimer.nextRound();
+                    break;
+                case 'focusFinish': {
+                    const state = FocusTimer.getState();
+                    const track = state ? TrackManager.getTrack(state.logAs) : null;
+                    if (track && !TrackManager.getField(track, 'duration') && !TrackManager.getField(track, 'notes') &&
+                        !confirm(`${track.name} has no duration or notes field, so the focused minutes won't be recorded. Log the ${track.entryLabel.toLowerCase()} anyway?`)) {
+                        break;
+                    }
+                    const result = HistoryManager.run('Log focus session', () => FocusTimer.finish());
+                    if (result) {
+                        UI.refresh();
+                    }
+                    break;
+                }
+                case 'focusDiscard':
+                    if (confirm('Discard this focus session without logging it?')) {
+                        FocusTimer.discard();
+                    }
+                    break;
+            }
+        });
+
+        focusPanel.addEventListener('change', (e) => {
+            const settings = StorageManager.getSettings();
+            switch (e.target.id) {
+                case 'focusWorkMinutes':
+                    settings.focusWorkMinutes = Math.min(180, Math.max(1, parseInt(e.target.value) || 25));
+                    StorageManager.saveSettings(settings);
+                    break;
+                case 'focusBreakMinutes':
+                    settings.focusBreakMinutes = Math.min(60, Math.max(1, parseInt(e.target.value) || 5));
+                    StorageManager.saveSettings(settings);
+                    break;
+                case 'focusLogAs':
+                    FocusTimer.setOptions({ logAs: e.target.value });
+                    break;
+                case 'focusCompleteTask':
+                    FocusTimer.setOptions({ completeTask: e.target.checked });
+                    break;
+            }
+        });
+
+        // Settings: categories & types
+        document.getElementById('openSettings').addEventListener('click', () => {
+            UI.openSettingsModal();
+        });
+
+        document.getElementById('closeSettings').addEventListener('click', () => {
+            UI.closeSettingsModal();
         });
 
-        // Add event listeners for delete buttons
-        container.querySelectorAll('.delete').forEach(button => {
-            button.addEventListener('click', (e) => {
-                const taskId = e.target.dataset.taskId;
-                if (confirm('Delete this task?')) {
-                    TaskManager.deleteTask(taskId);
-                    this.renderTimetable();
-                    this.renderProgress();
-                    this.renderWeeklyOverview();
-                }
-            });
+        document.getElementById('settingsModal').addEventListener('click', (e) => {
+            if (e.target.id === 'settingsModal') {
+                UI.closeSettingsModal();
+            }
         });
-    },
 
-    // Render progress summary
-    renderProgress() {
-        const stats = TaskManager.getStats();
-        document.getElementById('completedTasks').textContent = stats.completed;
-        document.getElementById('totalTasks').textContent = stats.total;
-        document.getElementById('completionRate').textContent = `${stats.rate}%`;
-    },
+        const trackEditor = document.getElementById('trackEditor');
+        const runTrackChange = (change) => {
+            try {
+                change();
+            } catch (error) {
+                alert(error.message);
+            }
+            UI.renderTrackEditor();
+        };
 
-    // Render Data Science topics
-    renderDSTopics() {
-        const container = document.getElementById('dsTopicList');
-        const topics = DSTopicManager.getTopics();
+        trackEditor.addEventListener('change', (e) => {
+            const row = e.target.closest('[data-track-id]');
+            if (!row) return;
+            const id = row.dataset.trackId;
+            runTrackChange(() => {
+                if (e.target.classList.contains('catalog-name')) {
+                    TrackManager.updateTrack(id, { name: e.target.value });
+                } else if (e.target.classList.contains('catalog-icon')) {
+                    TrackManager.updateTrack(id, { icon: e.target.value });
+                } else if (e.target.type === 'checkbox') {
+                    TrackManager.updateTrack(id, { archived: e.target.checked });
+                }
+            });
+        });
 
-        if (topics.length === 0) {
-            container.innerHTML = '';
-        } else {
-            container.innerHTML = topics.map(topic => {
-                const durationText = topic.duration ? `⏱️ ${topic.duration} min` : '';
-                const notesHtml = topic.notes ? `<div class="item-notes">💡 ${topic.notes}</div>` : '';
-                
-                return `
-                    <div class="topic-item">
-                        <div class="item-header">
-                            <div class="item-title">${topic.topic}</div>
-                            <div class="item-actions">
-                                <button class="btn-delete" data-topic-id="${topic.id}">🗑️</button>
-                            </div>
-                        </div>
-                        <div class="item-meta">
-                            ${durationText ? `<span class="meta-badge">${durationText}</span>` : ''}
-                            <span class="meta-badge">📊 ${topic.difficulty}</span>
-                            <span class="meta-badge">${topic.resource}</span>
-                        </div>
-                        ${notesHtml}
-                    </div>
-                `;
-            }).join('');
+        trackEditor.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-track-id]');
+            if (!row) return;
+            const id = row.dataset.trackId;
+            if (e.target.classList.contains('track-move')) {
+                runTrackChange(() => TrackManager.moveTrack(id, parseInt(e.target.dataset.direction)));
+            } else if (e.target.classList.contains('track-edit')) {
+                UI.fillTrackBuilder(TrackManager.getTrack(id));
+                document.getElementById('trackBuilderName').focus();
+            } else if (e.target.classList.contains('track-delete')) {
+                if (confirm('Delete this study track?')) {
+                    runTrackChange(() => TrackManager.deleteTrack(id));
+                }
+            }
+        });
 
-            // Add event listeners for delete buttons
-            container.querySelectorAll('.btn-delete').forEach(button => {
-                button.addEventListener('click', (e) => {
-                    const topicId = e.target.dataset.topicId;
-                    if (confirm('Delete this study session?')) {
-                        DSTopicManager.deleteTopic(topicId);
-                        this.renderDSTopics();
-                    }
-                });
+        document.getElementById('saveTrackBuilder').addEventListener('click', () => {
+            const spec = UI.readTrackBuilder();
+            runTrackChange(() => {
+                if (UI.editingTrackId) {
+                    TrackManager.updateTrack(UI.editingTrackId, spec);
+                } else {
+                    TrackManager.addTrack(spec);
+                }
+                UI.fillTrackBuilder();
             });
-        }
-
-        this.renderDSSummary();
-    },
+        });
 
-    // Render Data Science summary
-    renderDSSummary() {
-        const container = document.getElementById('dsSummary');
-        const summary = DSTopicManager.getSummary();
-        
-        if (summary.totalSessions === 0) {
-            container.innerHTML = '';
-            return;
-        }
+        document.getElementById('cancelTrackBuilder').addEventListener('click', () => {
+            UI.fillTrackBuilder();
+        });
 
-        const hours = Math.floor(summary.totalMinutes / 60);
-        const minutes = summary.totalMinutes % 60;
-        const timeText = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+        const catalogEditor = document.getElementById('catalogEditor');
+        const runCatalogChange = (change) => {
+            try {
+                change();
+            } catch (error) {
+                alert(error.message);
+            }
+            UI.renderCatalogEditor();
+            document.getElementById('icsCategoryRules').value = StorageManager.getSettings().icsCategoryRules;
+        };
 
-        container.innerHTML = `
-            <h4>📈 Today's Data Science Summary</h4>
-            <div class="summary-stats">
-                <div class="summary-stat">
-                    <div class="summary-stat-value">${summary.totalSessions}</div>
-                    <div class="summary-stat-label">Sessions</div>
-                </div>
-                <div class="summary-stat">
-                    <div class="summary-stat-value">${timeText}</div>
-                    <div class="summary-stat-label">Study Time</div>
-                </div>
-            </div>
-        `;
-    },
+        catalogEditor.addEventListener('change', (e) => {
+            const row = e.target.closest('.catalog-row');
+            if (!row || row.classList.contains('catalog-new')) return;
+            const { kind, id } = row.dataset;
+            runCatalogChange(() => {
+                if (e.target.classList.contains('catalog-name')) {
+                    CatalogManager.renameItem(kind, id, e.target.value);
+                } else if (e.target.classList.contains('catalog-color')) {
+                    CatalogManager.updateItem(kind, id, { color: e.target.value });
+                } else if (e.target.classList.contains('catalog-icon')) {
+                    CatalogManager.updateItem(kind, id, { icon: e.target.value.trim() });
+                } else if (e.target.type === 'checkbox') {
+                    CatalogManager.updateItem(kind, id, { archived: e.target.checked });
+                }
+            });
+        });
 
-    // Render English activities
-    renderEnglishActivities() {
-        const container = document.getElementById('englishList');
-        const activities = EnglishManager.getActivities();
+        catalogEditor.addEventListener('click', (e) => {
+            const row = e.target.closest('.catalog-row');
+            if (!row) return;
+            if (e.target.classList.contains('catalog-move')) {
+                runCatalogChange(() => CatalogManager.moveItem(row.dataset.kind, row.dataset.id, parseInt(e.target.dataset.direction)));
+            } else if (e.target.classList.contains('catalog-add')) {
+                runCatalogChange(() => CatalogManager.addItem(
+                    row.dataset.kind,
+                    row.querySelector('.catalog-name').value,
+                    row.querySelector('.catalog-icon').value,
+                    row.querySelector('.catalog-color').value
+                ));
+            }
+        });
 
-        if (activities.length === 0) {
-            container.innerHTML = '';
-        } else {
-            container.innerHTML = activities.map(activity => {
-                const statusClass = activity.completed ? 'completed' : 'planned';
-                const statusIcon = activity.completed ? '✅' : '⏳';
-                const durationText = activity.duration ? `⏱️ ${activity.duration} min` : '';
-                const contentHtml = activity.content ? `<div class="item-notes">📝 ${activity.content}</div>` : '';
-                const notesHtml = activity.notes ? `<div class="item-notes">💭 ${activity.notes}</div>` : '';
-                
-                return `
-                    <div class="activity-item ${statusClass}">
-                        <div class="item-header">
-                            <div class="item-title">${statusIcon} ${activity.type}</div>
-                            <div class="item-actions">
-                                <button class="btn-delete" data-activity-id="${activity.id}">🗑️</button>
-                            </div>
-                        </div>
-                        <div class="item-meta">
-                            ${durationText ? `<span class="meta-badge">${durationText}</span>` : ''}
-                            <span class="meta-badge">${activity.completed ? 'Completed' : 'Planned'}</span>
-                        </div>
-                        ${contentHtml}
-                        ${notesHtml}
-                    </div>
-                `;
-            }).join('');
+        // Goals
+        document.getElementById('goalSubject').addEventListener('change', () => {
+            UI.updateGoalFormFilter();
+        });
 
-            // Add event listeners for delete buttons
-            container.querySelectorAll('.btn-delete').forEach(button => {
-                button.addEventListener('click', (e) => {
-                    const activityId = e.target.dataset.activityId;
-                    if (confirm('Delete this activity?')) {
-                        EnglishManager.deleteActivity(activityId);
-                        this.renderEnglishActivities();
-                    }
-                });
+        document.getElementById('addGoal').addEventListener('click', () => {
+            const target = parseInt(document.getElementById('goalTarget').value);
+            if (!target || target < 1) {
+                document.getElementById('goalTarget').focus();
+                return;
+            }
+            GoalManager.addGoal({
+                subject: document.getElementById('goalSubject').value,
+                filter: document.getElementById('goalFilter').value,
+                metric: document.getElementById('goalMetric').value,
+                period: document.getElementById('goalPeriod').value,
+                target
             });
-        }
+            UI.renderAllGoals();
+        });
 
-        this.renderEnglishSummary();
-    },
+        // Streak settings
+        document.getElementById('streakThreshold').addEventListener('change', (e) => {
+            StreakManager.setThreshold(e.target.value);
+            e.target.value = StreakManager.getThreshold();
+            UI.renderStreaks();
+        });
 
-    // Render English summary
-    renderEnglishSummary() {
-        const container = document.getElementById('englishSummary');
-        const summary = EnglishManager.getSummary();
-        
-        if (summary.totalActivities === 0) {
-            container.innerHTML = '';
-            return;
-        }
+        document.getElementById('heatmapMetric').addEventListener('change', () => {
+            UI.renderStreaks();
+        });
 
-        const hours = Math.floor(summary.totalMinutes / 60);
-        const minutes = summary.totalMinutes % 60;
-        const timeText = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+        // Analytics date range
+        ['analyticsFrom', 'analyticsTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                UI.renderDSAnalytics();
+            });
+        });
 
-        container.innerHTML = `
-            <h4>📈 Today's English Summary</h4>
-            <div class="summary-stats">
-                <div class="summary-stat">
-                    <div class="summary-stat-value">${summary.completedActivities}/${summary.totalActivities}</div>
-                    <div class="summary-stat-label">Completed</div>
-                </div>
-                <div class="summary-stat">
-                    <div class="summary-stat-value">${timeText}</div>
-                    <div class="summary-stat-label">Practice Time</div>
-                </div>
-            </div>
-        `;
-    },
+        document.querySelectorAll('[data-analytics-days]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                UI.setAnalyticsRange(parseInt(e.target.dataset.analyticsDays));
+            });
+        });
 
-    // Render weekly overview
-    renderWeeklyOverview() {
-        const container = document.getElementById('weeklyStats');
-        const startOfWeek = DateUtil.getStartOfWeek(AppState.currentDate);
-        
-        let html = '';
-        for (let i = 0; i < 7; i++) {
-            const date = DateUtil.addDays(startOfWeek, i);
-            const dateString = DateUtil.formatDate(date);
-            const data = StorageManager.getDateData(dateString);
-            
-            const total = data.tasks.length;
-            const completed = data.tasks.filter(t => t.completed).length;
-            const rate = total > 0 ? Math.round((completed / total) * 100) : 0;
-            
-            html += `
-                <div class="day-card">
-                    <div class="day-name">${DateUtil.getDayName(date)}</div>
-                    <div class="day-date">${DateUtil.getDateString(date)}</div>
-                    <div class="day-completion">${rate}%</div>
-                </div>
-            `;
-        }
-        
-        container.innerHTML = html;
-    },
+        // iCalendar export
+        document.getElementById('exportIcs').addEventListener('click', () => {
+            const fromDate = document.getElementById('icsFrom').value;
+            const toDate = document.getElementById('icsTo').value;
+            if (!fromDate || !toDate || fromDate > toDate) {
+                alert('Choose a valid date range to export.');
+                return;
+            }
+            IcsManager.exportToFile(fromDate, toDate, document.getElementById('icsComponent').value);
+        });
 
-    // Open modal for adding new task
-    openAddTaskModal() {
-        AppState.editingTaskId = null;
-        document.getElementById('modalTitle').textContent = 'Add Task';
-        document.getElementById('taskForm').reset();
-        document.getElementById('taskRecurring').checked = false;
-        document.getElementById('recurringOptions').style.display = 'none';
-        document.getElementById('recurringGroup').style.display = 'block';
-        document.getElementById('taskModal').classList.add('active');
-    },
+        // iCalendar import mapping settings
+        ['icsCategoryRules', 'icsDefaultCategory'].forEach(id => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                const settings = StorageManager.getSettings();
+                settings[id] = e.target.value;
+                StorageManager.saveSettings(settings);
+            });
+        });
 
-    // Open modal for editing existing task
-    openEditTaskModal(taskId) {
-        AppState.editingTaskId = taskId;
-        const task = TaskManager.getTask(taskId);
-        
-        if (task) {
-            document.getElementById('modalTitle').textContent = 'Edit Task';
-            document.getElementById('taskTime').value = task.startTime;
-            document.getElementById('recurringGroup').style.display = 'none';
-            document.getElementById('taskEndTime').value = task.endTime;
-            document.getElementById('taskName').value = task.name;
-            document.getElementById('taskCategory').value = task.category;
-            document.getElementById('taskModal').classList.add('active');
-        }
-    },
+        // iCalendar import
+        document.getElementById('importIcsFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
 
-    // Close task modal
-    closeTaskModal() {
-        document.getElementById('taskModal').classList.remove('active');
-        document.getElementById('taskForm').reset();
-        AppState.editingTaskId = null;
-    },
+            const settings = StorageManager.getSettings();
+            const categories = CatalogManager.getNames('taskCategories');
 
-    // Refresh entire UI
-    refresh() {
-        this.updateDateDisplay();
-        this.renderTimetable();
-        this.renderProgress();
-        this.renderDSTopics();
-        this.renderEnglishActivities();
-        this.renderWeeklyOverview();
-    }
-};
+            FileUtil.readAsText(file)
+                .then(text => {
+                    const report = HistoryManager.run('Import calendar', () => IcsManager.importText(text, {
+                        categoryRules: settings.icsCategoryRules,
+                        defaultCategory: settings.icsDefaultCategory,
+                        categories
+                    }));
+                    UI.renderIcsReport(report);
+                    UI.refresh();
+                })
+                .catch(error => alert(error.message))
+                .finally(() => {
+                    e.target.value = '';
+                });
+        });
 
-// ===== Event Handlers =====
-const EventHandlers = {
-    init() {
-        // Date navigation
-        document.getElementById('prevDay').addEventListener('click', () => {
-            AppState.prevDay();
-            UI.refresh();
+        // Search
+        let searchTimeout = null;
+        document.getElementById('searchQuery').addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => UI.renderSearch(), 200);
         });
 
-        document.getElementById('nextDay').addEventListener('click', () => {
-            AppState.nextDay();
-            UI.refresh();
+        document.getElementById('searchType').addEventListener('change', () => {
+            UI.renderSearchFilters();
+            UI.renderSearch();
         });
 
-        // Add task button
-        document.getElementById('addTaskBtn').addEventListener('click', () => {
-            UI.openAddTaskModal();
+        document.getElementById('searchFilters').addEventListener('change', (e) => {
+            if (e.target.id !== 'searchType') {
+                UI.renderSearch();
+            }
         });
 
-        // Task form submission
-        document.getElementById('taskForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            
-            const taskData = {
-                startTime: document.getElementById('taskTime').value,
-                endTime: document.getElementById('taskEndTime').value,
-                name: document.getElementById('taskName').value,
-                category: document.getElementById('taskCategory').value
-            };
-const isRecurring = document.getElementById('taskRecurring').checked;
-                if (isRecurring) {
-                    const numDays = parseInt(document.getElementById('recurringDays').value) || 30;
-                    TaskManager.addRecurringTask(taskData, numDays);
-                } else {
-                    TaskManager.addTask(taskData);
-                }
-            if (AppState.editingTaskId) {
-                TaskManager.updateTask(AppState.editingTaskId, taskData);
-            } else {
-                TaskManager.addTask(taskData);
+        document.getElementById('searchResults').addEventListener('click', (e) => {
+            const result = e.target.closest('.search-result');
+            if (!result) return;
+            this.goToDate(result.dataset.date);
+            UI.highlightItem(result.dataset.type, result.dataset.id);
+        });
+
+        // CSV export
+        document.getElementById('exportCsv').addEventListener('click', () => {
+            const fromDate = document.getElementById('csvFrom').value;
+            const toDate = document.getElementById('csvTo').value;
+            if (!fromDate || !toDate || fromDate > toDate) {
+                alert('Please choose a valid date range.');
+                return;
             }
+            CsvManager.exportToFiles(document.getElementById('csvDataset').value, fromDate, toDate);
+        });
 
-            UI.closeTaskModal();
-            UI.renderTimetable();
-            UI.renderProgress();
-            UI.renderWeeklyOverview();
+        // CSV import
+        document.getElementById('importCsvFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const dataset = document.getElementById('csvDataset').value;
+
+            FileUtil.readAsText(file)
+                .then(text => {
+                    UI.renderCsvReport(HistoryManager.run('Import CSV', () => CsvManager.importText(text, dataset === 'all' ? 'auto' : dataset)));
+                    UI.refresh();
+                })
+                .catch(error => alert(error.message))
+                .finally(() => {
+                    e.target.value = '';
+                });
         });
 
-        // Modal close buttons
-        document.getElementById('closeModal').addEventListener('click', () => {
-            UI.closeTaskModal();
+        // Backup export
+        document.getElementById('exportBackup').addEventListener('click', () => {
+            BackupManager.exportToFile();
         });
 
+        // Backup import
+        document.getElementById('importBackupFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
 
-        // Toggle recurring options
-        document.getElementById('taskRecurring').addEventListener('change', (e) => {
-            const options = document.getElementById('recurringOptions');
-            options.style.display = e.target.checked ? 'block' : 'none';
+            const mode = document.getElementById('importMode').value;
+            const preferImported = document.getElementById('importPreferBackup').checked;
+
+            FileUtil.readAsText(file)
+                .then(text => BackupManager.parseBackup(text))
+                .then(backup => {
+                    if (mode === 'replace' && !confirm('Replace ALL stored days with this backup?')) {
+                        return;
+                    }
+                    const report = BackupManager.restore(backup, mode, preferImported);
+                    UI.renderBackupReport(report);
+                    UI.fillSettingsFields();
+                    UI.renderReminderSettings();
+                    UI.renderShortcutSettings();
+                    UI.reload();
+                })
+                .catch(error => alert(error.message))
+                .finally(() => {
+                    e.target.value = '';
+                });
         });
-        document.getElementById('cancelModal').addEventListener('click', () => {
-            UI.closeTaskModal();
+
+        // Conflict option only applies to merge imports
+        document.getElementById('importMode').addEventListener('change', (e) => {
+            document.getElementById('importPreferBackupGroup').style.display = e.target.value === 'merge' ? 'block' : 'none';
         });
 
-        // Close modal on outside click
-        document.getElementById('taskModal').addEventListener('click', (e) => {
-            if (e.target.id === 'taskModal') {
-                UI.closeTaskModal();
+        // Data recovery (quarantined records)
+        document.getElementById('recoveryList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-quarantine-id]');
+            if (!item) return;
+            const id = item.dataset.quarantineId;
+
+            if (e.target.classList.contains('recovery-restore')) {
+                try {
+                    QuarantineManager.restore(id, item.querySelector('.recovery-raw').value);
+                    UI.reload();
+                } catch (error) {
+                    alert(error.message);
+                }
+            } else if (e.target.classList.contains('recovery-download')) {
+                QuarantineManager.download(id);
+            } else if (e.target.classList.contains('recovery-discard')) {
+                if (confirm('Discard this record for good?')) {
+                    QuarantineManager.remove(id);
+                    UI.renderRecovery();
+                }
             }
         });
 
-        // Toggle Data Science form
-        document.getElementById('toggleDSForm').addEventListener('click', () => {
-            const form = document.getElementById('dsForm');
-            const button = document.getElementById('toggleDSForm');
-            if (form.style.display === 'none') {
-                form.style.display = 'block';
-                button.textContent = '- Close Form';
-                button.classList.add('active');
-            } else {
-                form.style.display = 'none';
-                button.textContent = '+ Add Study Session';
-                button.classList.remove('active');
+        // Reset all app data
+        document.getElementById('resetAllData').addEventListener('click', () => {
+            if (!confirm('Delete ALL study schedule data stored in this browser? Export a backup first if you may need it.')) {
+                return;
             }
+            FocusTimer.discard();
+            StorageManager.clearAll();
+            AppState.init();
+            UI.reload();
         });
+    }
+};
 
-        // Data Science topic save
-        document.getElementById('saveDSTopic').addEventListener('click', () => {
-            const topic = document.getElementById('dsTopicInput').value;
-            const duration = document.getElementById('dsDuration').value;
-            const difficulty = document.getElementById('dsDifficulty').value;
-            const resource = document.getElementById('dsResource').value;
-            const notes = document.getElementById('dsNotes').value;
-            
-            if (topic.trim()) {
-                DSTopicManager.addTopic({
-                    topic,
-                    duration,
-                    difficulty,
-                    resource,
-                    notes
-                });
-                
-                // Clear form
-                document.getElementById('dsTopicInput').value = '';
-                document.getElementById('dsDuration').value = '';
-                document.getElementById('dsDifficulty').value = 'Intermediate';
-                document.getElementById('dsResource').value = 'Video';
-                document.getElementById('dsNotes').value = '';
-                
-                UI.renderDSTopics();
+// ===== Service Worker =====
+// Registers sw.js, which caches the app for offline use and shows the
+// reminder notifications ReminderManager posts. A new version installs in the
+// background and waits; the update banner lets the user switch to it.
+// Service workers need http(s), so opening index.html from disk skips this.
+const ServiceWorkerManager = {
+    UPDATE_CHECK_MS: 60 * 60000,
+    registration: null,
+    updating: false,
+    installPrompt: null,
+
+    // Register the service worker if the browser and page allow it
+    register() {
+        this.listenForInstallPrompt();
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+            return Promise.resolve(null);
+        }
+        return navigator.serviceWorker.register('sw.js')
+            .then(registration => {
+                this.registration = registration;
+                this.watchForUpdates(registration);
+                return registration;
+            })
+            .catch(error => {
+                console.warn('Service worker registration failed', error);
+                return null;
+            });
+    },
+
+    // Offer the update banner whenever a new worker finishes installing
+    watchForUpdates(registration) {
+        // A worker is only an update if another one already controls the page
+        const offer = () => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                UI.showUpdateBanner();
             }
+        };
+        offer();
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') offer();
+            });
         });
 
-        // Allow Enter key in DS topic input
-        document.getElementById('dsTopicInput').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter' && e.target.value.trim()) {
-                document.getElementById('saveDSTopic').click();
+        // Reload once the new worker has taken over, if the user asked for it
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updating) {
+                window.location.reload();
             }
         });
 
-        // Toggle English form
-        document.getElementById('toggleEnglishForm').addEventListener('click', () => {
-            const form = document.getElementById('englishForm');
-            const button = document.getElementById('toggleEnglishForm');
-            if (form.style.display === 'none') {
-                form.style.display = 'block';
-                button.textContent = '- Close Form';
-                button.classList.add('active');
-            } else {
-                form.style.display = 'none';
-                button.textContent = '+ Add Activity';
-                button.classList.remove('active');
-            }
+        setInterval(() => registration.update(), this.UPDATE_CHECK_MS);
+    },
+
+    // Switch to the waiting version; the page reloads when it takes over
+    applyUpdate() {
+        if (!this.registration || !this.registration.waiting) return;
+        this.updating = true;
+        this.registration.waiting.postMessage({ type: 'skip-waiting' });
+    },
+
+    // Keep the browser's install prompt so the header button can show it
+    listenForInstallPrompt() {
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.installPrompt = e;
+            document.getElementById('installApp').hidden = false;
+        });
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            document.getElementById('installApp').hidden = true;
+        });
+    },
+
+    // Show the browser's install prompt
+    install() {
+        if (!this.installPrompt) return;
+        this.installPrompt.prompt();
+        this.installPrompt.userChoice.then(() => {
+            this.installPrompt = null;
+            document.getElementById('installApp').hidden = true;
         });
+    },
 
-        // English activity save
-        document.getElementById('saveEnglish').addEventListener('click', () => {
-            const type = document.getElementById('englishActivity').value;
-            const duration = document.getElementById('englishDuration').value;
-            const completed = document.getElementById('englishCompleted').value;
-            const content = document.getElementById('englishContent').value;
-            const notes = document.getElementById('englishNotes').value;
-            
-            EnglishManager.addActivity({
-                type,
-                duration,
-                completed,
-                content,
-                notes
-            });
-            
-            // Clear form
-            document.getElementById('englishActivity').value = 'Podcast';
-            document.getElementById('englishDuration').value = '';
-            document.getElementById('englishCompleted').value = 'true';
-            document.getElementById('englishContent').value = '';
-            document.getElementById('englishNotes').value = '';
-            
-            UI.renderEnglishActivities();
+    // Check whether an active service worker is available
+    isActive() {
+        return !!(this.registration && this.registration.active);
+    },
+
+    // Post a message to the service worker once it is active
+    postMessage(message) {
+        if (!this.registration) return;
+        navigator.serviceWorker.ready.then(registration => {
+            registration.active.postMessage(message);
         });
     }
 };
@@ -781,14 +7927,30 @@ const isRecurring = document.getElementById('taskRecurring').checked;
 // ===== Application Initialization =====
 // Wait for DOM to be fully loaded before initializing
 document.addEventListener('DOMContentLoaded', () => {
-    // Initialize application state
-    AppState.init();
-    
-    // Initialize UI
-    UI.init();
-    
-    // Setup event handlers
-    EventHandlers.init();
-    
-    console.log('Student Productivity System initialized successfully');
+    // Open the storage backend (IndexedDB, or localStorage as a fallback)
+    StorageManager.init().then(backend => {
+        // Initialize application state
+        AppState.init();
+
+        // Initialize UI
+        UI.init();
+
+        // Setup event handlers
+        EventHandlers.init();
+
+        // Keyboard access to modals
+        FocusManager.init();
+
+        // Resume a focus timer left running before reload
+        FocusTimer.init();
+
+        // Offline cache and reminder notifications, then the reminder clock
+        ServiceWorkerManager.register();
+        ReminderManager.init();
+
+        console.log(`Student Productivity System initialized successfully (storage: ${backend.name})`);
+    }).catch(error => {
+        console.error('Student Productivity System failed to start:', error);
+        alert(`The app could not start: ${error.message}`);
+    });
 });
@@ -0,0 +1,105 @@
+// ===== Service Worker =====
+// Precaches the app so it works offline, and shows the reminder
+// notifications the app's page asks for.
+
+// Bump CACHE_VERSION with every release: the changed file is what makes the
+// browser install the new worker and offer the update to the user. App files
+// are fetched network-first, so an online reload gets the latest files even
+// if a release forgot the bump.
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = `my-study-schedule-${CACHE_VERSION}`;
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'app.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png'
+];
+
+// ===== Offline Cache =====
+
+// Download every asset fresh (bypassing the HTTP cache) into this version's cache.
+// A new worker then waits until the page asks it to take over.
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache =>
+        cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+// Drop caches of older versions and take control of open pages
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('my-study-schedule-') && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// Serve app files network-first, refreshing the cache with each response;
+// when offline use the cached copy, and for page navigations the cached
+// index.html
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(caches.open(CACHE_NAME).then(cache =>
+        fetch(request).then(response => {
+            if (response.ok && !url.search) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        }).catch(() => cache.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) return cached;
+            if (request.mode === 'navigate') {
+                return cache.match('index.html');
+            }
+            throw new Error(`Offline and not cached: ${request.url}`);
+        }))));
+});
+
+// ===== Reminders =====
+// Shows each reminder the page posts as it falls due; the page decides when
+// (see ReminderManager in app.js for why that needs an open tab).
+
+// Show the notification for one reminder
+function showReminder(reminder) {
+    return self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: reminder.key,
+        data: { date: reminder.date, taskId: reminder.taskId, kind: reminder.kind },
+        requireInteraction: reminder.kind === 'end',
+        actions: reminder.kind === 'end'
+            ? [{ action: 'complete', title: '✅ Mark complete' }, { action: 'later', title: 'Not yet' }]
+            : []
+    });
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    if (message.type === 'show-reminder') {
+        event.waitUntil(showReminder(message.reminder));
+    } else if (message.type === 'skip-waiting') {
+        // The user accepted the update
+        self.skipWaiting();
+    }
+});
+
+// Pass notification clicks to an open app window, or open one
+self.addEventListener('notificationclick', (event) => {
+    const data = event.notification.data || {};
+    event.notification.close();
+    if (event.action === 'later') return;
+
+    const action = event.action || 'open';
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+        if (clients.length > 0) {
+            clients[0].postMessage({ type: 'reminder-action', action, date: data.date, taskId: data.taskId, kind: data.kind });
+            return clients[0].focus();
+        }
+        const params = new URLSearchParams({ reminder: action, date: data.date || '', task: data.taskId || '', kind: data.kind || '' });
+        return self.clients.openWindow(`./?${params}`);
+    }));
+});